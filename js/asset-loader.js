@@ -0,0 +1,246 @@
+// Asset loading for the particle simulation
+// Fetches report byte-level progress into a shared tracker, which dispatches
+// a single `particleLoadProgress` event stream for the whole startup.
+
+export const DEFAULT_FETCH_OPTIONS = {
+  timeout: 20000, // ms without any data before an attempt is given up
+  retries: 2,
+  retryDelay: 500, // ms, doubled after each failed attempt
+};
+
+export class AssetLoadError extends Error {
+  constructor(url, reason, { status = null, retryable = true } = {}) {
+    super(`Failed to load ${url}: ${reason}`);
+    this.name = 'AssetLoadError';
+    this.url = url;
+    this.reason = reason;
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+// Tracks every asset needed before the simulation is ready. Each asset
+// contributes equally to the overall percentage; within an asset, progress is
+// measured in bytes when the size is known.
+export function createLoadProgress(target = window) {
+  const assets = new Map();
+
+  function assetProgress(asset) {
+    if (asset.complete) return 1;
+    if (asset.total > 0) return Math.min(asset.loaded / asset.total, 1);
+    return 0;
+  }
+
+  function dispatch() {
+    const list = [...assets.values()];
+    const completed = list.filter(asset => asset.complete).length;
+    const progress = list.length > 0
+      ? (list.reduce((sum, asset) => sum + assetProgress(asset), 0) / list.length) * 100
+      : 0;
+
+    target.dispatchEvent(new CustomEvent('particleLoadProgress', {
+      detail: {
+        progress,
+        loaded: completed,
+        total: list.length,
+        bytesLoaded: list.reduce((sum, asset) => sum + asset.loaded, 0),
+        bytesTotal: list.reduce((sum, asset) => sum + asset.total, 0),
+        assets: list.map(asset => ({ ...asset, progress: assetProgress(asset) * 100 })),
+      },
+    }));
+  }
+
+  return {
+    add(id, type, url = null) {
+      assets.set(id, { id, type, url, loaded: 0, total: 0, complete: false, failed: false });
+      dispatch();
+    },
+
+    update(id, loaded, total) {
+      const asset = assets.get(id);
+      asset.loaded = loaded;
+      // Content-Length is the encoded size, so a compressed body can exceed it
+      asset.total = Math.max(total, loaded);
+      dispatch();
+    },
+
+    complete(id) {
+      const asset = assets.get(id);
+      asset.total = Math.max(asset.total, asset.loaded);
+      asset.complete = true;
+      dispatch();
+    },
+
+    // Failed assets count as settled so the overall progress still reaches 100
+    fail(id) {
+      const asset = assets.get(id);
+      asset.complete = true;
+      asset.failed = true;
+      dispatch();
+    },
+  };
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Open the persistent asset cache for `version`, deleting caches left behind
+// by other versions. Resolves to null where Cache Storage is unavailable
+// (insecure contexts, some private browsing modes).
+export async function openAssetCache(version, name = 'particle-simulation') {
+  if (typeof caches === 'undefined') return null;
+
+  try {
+    const cacheName = `${name}-v${version}`;
+    const staleNames = (await caches.keys())
+      .filter(key => key.startsWith(`${name}-v`) && key !== cacheName);
+    await Promise.all(staleNames.map(key => caches.delete(key)));
+    return await caches.open(cacheName);
+  } catch {
+    return null;
+  }
+}
+
+// Cache entries are keyed by URL plus the asset's own version, if any, so a
+// single asset can be invalidated without bumping the global version
+function cacheKey(url, version) {
+  if (version == null) return url;
+
+  const key = new URL(url);
+  key.searchParams.set('particle-cache-version', version);
+  return key.href;
+}
+
+async function readCached(cache, key, url, onProgress) {
+  try {
+    const response = await cache.match(key);
+    return response ? await readResponse(url, response, onProgress) : null;
+  } catch {
+    return null;
+  }
+}
+
+function storeCached(cache, key, url, buffer) {
+  // Replace entries for other versions of this asset, then store; quota
+  // errors just mean the next visit downloads it again
+  cache.delete(url, { ignoreSearch: true })
+    .then(() => cache.put(key, new Response(buffer)))
+    .catch(() => {});
+}
+
+// Fetch a URL into an ArrayBuffer, reporting progress as the body streams in.
+// An attempt is aborted once no data has arrived for `timeout`, so slow but
+// steady downloads still complete; failures other than client errors are
+// retried with exponential backoff. With a `cache` (see openAssetCache) the
+// asset is served from and stored in Cache Storage.
+export async function fetchBuffer(url, onProgress = () => {}, options = {}) {
+  const { timeout, retries, retryDelay, cache, version } = { ...DEFAULT_FETCH_OPTIONS, ...options };
+  const key = cacheKey(url, version);
+
+  // A retry reads from byte 0 again; report the most received by any attempt
+  // so the overall progress never goes backwards
+  let highest = 0;
+  const reportProgress = (loaded, total) => {
+    highest = Math.max(highest, loaded);
+    onProgress(highest, Math.max(total, highest));
+  };
+
+  if (cache) {
+    const cached = await readCached(cache, key, url, reportProgress);
+    if (cached) return cached;
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const buffer = await fetchAttempt(url, reportProgress, timeout);
+      if (cache) storeCached(cache, key, url, buffer);
+      return buffer;
+    } catch (error) {
+      const loadError = error instanceof AssetLoadError
+        ? error
+        : new AssetLoadError(url, error.message);
+
+      if (!loadError.retryable || attempt >= retries) throw loadError;
+
+      await wait(retryDelay * 2 ** attempt);
+    }
+  }
+}
+
+async function fetchAttempt(url, onProgress, timeout) {
+  const controller = new AbortController();
+  let timer;
+  const restartTimer = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => controller.abort(), timeout);
+  };
+  restartTimer();
+
+  try {
+    const response = await fetch(url, { signal: controller.signal });
+    restartTimer();
+    return await readResponse(url, response, (loaded, total) => {
+      restartTimer();
+      onProgress(loaded, total);
+    });
+  } catch (error) {
+    if (controller.signal.aborted) {
+      throw new AssetLoadError(url, `no data for ${timeout}ms`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function readResponse(url, response, onProgress) {
+  if (!response.ok) {
+    // Client errors won't fix themselves, except timeouts and rate limiting
+    const retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+    throw new AssetLoadError(url, `${response.status} ${response.statusText}`, {
+      status: response.status,
+      retryable,
+    });
+  }
+
+  const total = Number(response.headers.get('Content-Length')) || 0;
+
+  if (!response.body) {
+    const buffer = await response.arrayBuffer();
+    onProgress(buffer.byteLength, buffer.byteLength);
+    return buffer;
+  }
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let loaded = 0;
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    chunks.push(value);
+    loaded += value.byteLength;
+    onProgress(loaded, total);
+  }
+
+  const bytes = new Uint8Array(loaded);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+
+  return bytes.buffer;
+}
+
+// Fetch an asset registered with the progress tracker. The caller marks it
+// complete once the data is parsed.
+export function fetchTracked(progress, id, url, options) {
+  return fetchBuffer(url, (loaded, total) => progress.update(id, loaded, total), options);
+}
+
+export function parseJSON(buffer) {
+  return JSON.parse(new TextDecoder().decode(buffer));
+}
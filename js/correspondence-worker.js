@@ -0,0 +1,12 @@
+// Worker side of createMatcher() in correspondence.js
+
+import { matchTargets } from './correspondence.js';
+
+self.onmessage = ({ data: { id, from, to } }) => {
+  try {
+    const mapping = matchTargets(from, to);
+    self.postMessage({ id, mapping }, [mapping.buffer]);
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
@@ -0,0 +1,160 @@
+// Pairing of particle targets between two shapes so that morphs travel less
+//
+// Without it, particle i goes from point i of one shape to point i of the
+// next, which crosses the whole volume. matchTargets() approximates the
+// optimal transport between the two point sets: both are sorted along a 3D
+// Hilbert curve and paired rank by rank (exact in 1D, close in 3D), then
+// neighbouring pairs are swapped wherever that shortens the total travel.
+
+const HILBERT_BITS = 10; // per axis, over the unit cube
+const REFINE_PASSES = 4;
+const REFINE_WINDOW = 8; // neighbours along the curve to try swapping with
+
+// Position along a Hilbert curve through the unit cube (Skilling's transpose
+// algorithm), 3 * HILBERT_BITS bits
+function hilbertIndex(x, y, z) {
+  const scale = (1 << HILBERT_BITS) - 1;
+  const axes = [x, y, z].map(value => Math.round(Math.min(Math.max(value, 0), 1) * scale));
+  const top = 1 << (HILBERT_BITS - 1);
+
+  for (let q = top; q > 1; q >>= 1) {
+    const p = q - 1;
+    for (let i = 0; i < 3; i++) {
+      if (axes[i] & q) {
+        axes[0] ^= p;
+      } else {
+        const t = (axes[0] ^ axes[i]) & p;
+        axes[0] ^= t;
+        axes[i] ^= t;
+      }
+    }
+  }
+
+  axes[1] ^= axes[0];
+  axes[2] ^= axes[1];
+  let t = 0;
+  for (let q = top; q > 1; q >>= 1) {
+    if (axes[2] & q) t ^= q - 1;
+  }
+
+  let index = 0;
+  for (let bit = HILBERT_BITS - 1; bit >= 0; bit--) {
+    for (let i = 0; i < 3; i++) {
+      index = index * 2 + (((axes[i] ^ t) >> bit) & 1);
+    }
+  }
+  return index;
+}
+
+function curveOrder(positions) {
+  const count = positions.length / 3;
+  const keys = new Float64Array(count);
+  for (let i = 0; i < count; i++) {
+    keys[i] = hilbertIndex(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]);
+  }
+  return Uint32Array.from({ length: count }, (_, i) => i).sort((a, b) => keys[a] - keys[b]);
+}
+
+function distanceSquared(from, i, to, j) {
+  const dx = from[i * 3] - to[j * 3];
+  const dy = from[i * 3 + 1] - to[j * 3 + 1];
+  const dz = from[i * 3 + 2] - to[j * 3 + 2];
+  return dx * dx + dy * dy + dz * dz;
+}
+
+// Match two equally long flat position arrays in normalized space. Returns a
+// Uint32Array mapping each point of `from` to a distinct point of `to`.
+export function matchTargets(from, to) {
+  const count = from.length / 3;
+  if (to.length !== from.length) {
+    throw new Error(`Can't match ${count} points to ${to.length / 3}`);
+  }
+
+  const fromOrder = curveOrder(from);
+  const toOrder = curveOrder(to);
+  const mapping = new Uint32Array(count);
+  fromOrder.forEach((point, rank) => {
+    mapping[point] = toOrder[rank];
+  });
+
+  for (let pass = 0; pass < REFINE_PASSES; pass++) {
+    let swapped = false;
+
+    for (let rank = 0; rank < count; rank++) {
+      const i = fromOrder[rank];
+
+      for (let offset = 1; offset <= REFINE_WINDOW && rank + offset < count; offset++) {
+        const j = fromOrder[rank + offset];
+        const current = distanceSquared(from, i, to, mapping[i]) + distanceSquared(from, j, to, mapping[j]);
+        const exchanged = distanceSquared(from, i, to, mapping[j]) + distanceSquared(from, j, to, mapping[i]);
+
+        if (exchanged < current) {
+          [mapping[i], mapping[j]] = [mapping[j], mapping[i]];
+          swapped = true;
+        }
+      }
+    }
+
+    if (!swapped) break;
+  }
+
+  return mapping;
+}
+
+export function invertMapping(mapping) {
+  const inverse = new Uint32Array(mapping.length);
+  mapping.forEach((target, source) => {
+    inverse[target] = source;
+  });
+  return inverse;
+}
+
+// Runs matchTargets() off the main thread. Where the module worker can't be
+// started (e.g. the module is served from another origin) the matching runs
+// on the main thread instead, one pair per task.
+export function createMatcher() {
+  let worker = null;
+  try {
+    worker = new Worker(new URL('./correspondence-worker.js', import.meta.url), { type: 'module' });
+  } catch {
+    worker = null;
+  }
+
+  const pending = new Map();
+  let nextId = 0;
+
+  function matchOnMainThread(from, to) {
+    return new Promise(resolve => setTimeout(resolve, 0)).then(() => matchTargets(from, to));
+  }
+
+  if (worker) {
+    worker.onmessage = ({ data }) => {
+      const { resolve, reject } = pending.get(data.id);
+      pending.delete(data.id);
+      if (data.error) reject(new Error(data.error));
+      else resolve(data.mapping);
+    };
+
+    // The worker script failed to load: redo its queue here
+    worker.onerror = () => {
+      worker.terminate();
+      worker = null;
+      pending.forEach(({ from, to, resolve, reject }) => {
+        matchOnMainThread(from, to).then(resolve, reject);
+      });
+      pending.clear();
+    };
+  }
+
+  return {
+    match(from, to) {
+      if (!worker) return matchOnMainThread(from, to);
+
+      const id = nextId++;
+      return new Promise((resolve, reject) => {
+        pending.set(id, { from, to, resolve, reject });
+        worker.postMessage({ id, from, to });
+      });
+    },
+  };
+}
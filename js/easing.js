@@ -0,0 +1,116 @@
+// Easing curves for morph transitions
+//
+// An easing maps linear progress in [0, 1] to eased progress, with
+// easing(0) = 0 and easing(1) = 1. It can be given as:
+// - a name from EASINGS ('linear', 'ease-in-out', ...)
+// - a CSS-style 'cubic-bezier(x1, y1, x2, y2)' string, or [x1, y1, x2, y2]
+// - { type: 'spring', stiffness, damping, mass }, which may overshoot
+// - a function of progress
+
+export function cubicBezier(x1, y1, x2, y2) {
+  if (x1 < 0 || x1 > 1 || x2 < 0 || x2 > 1) {
+    throw new Error('cubic-bezier x values must be between 0 and 1');
+  }
+
+  // One-dimensional Bezier through 0, p1, p2, 1 and its derivative
+  const curve = (t, p1, p2) => ((1 - 3 * p2 + 3 * p1) * t + (3 * p2 - 6 * p1)) * t * t + 3 * p1 * t;
+  const slope = (t, p1, p2) => 3 * (1 - 3 * p2 + 3 * p1) * t * t + 2 * (3 * p2 - 6 * p1) * t + 3 * p1;
+
+  // Find the curve parameter for progress x: Newton's method, falling back to
+  // bisection where the curve is too flat for it
+  function solve(x) {
+    let t = x;
+    for (let i = 0; i < 8; i++) {
+      const error = curve(t, x1, x2) - x;
+      const derivative = slope(t, x1, x2);
+      if (Math.abs(error) < 1e-6) return t;
+      if (Math.abs(derivative) < 1e-6) break;
+      t -= error / derivative;
+    }
+
+    let low = 0;
+    let high = 1;
+    t = x;
+    for (let i = 0; i < 30; i++) {
+      const value = curve(t, x1, x2);
+      if (Math.abs(value - x) < 1e-6) break;
+      if (value < x) low = t; else high = t;
+      t = (low + high) / 2;
+    }
+    return t;
+  }
+
+  return (progress) => {
+    if (progress <= 0) return 0;
+    if (progress >= 1) return 1;
+    return curve(solve(progress), y1, y2);
+  };
+}
+
+// A damped spring released towards its target. The spring's physical settling
+// time is stretched over the transition, so the duration still applies.
+export function spring({ stiffness = 170, damping = 26, mass = 1 } = {}) {
+  const omega = Math.sqrt(stiffness / mass); // undamped angular frequency
+  const zeta = damping / (2 * Math.sqrt(stiffness * mass)); // damping ratio
+  // Time for the envelope to decay to 0.1% of the initial displacement
+  const settle = Math.log(1000) / (zeta * omega);
+
+  function displacement(time) {
+    const decay = Math.exp(-zeta * omega * time);
+    if (zeta < 1) {
+      const omegaD = omega * Math.sqrt(1 - zeta * zeta);
+      return decay * (Math.cos(omegaD * time) + ((zeta * omega) / omegaD) * Math.sin(omegaD * time));
+    }
+    // Critically or over-damped: approximate with the critically damped response
+    return decay * (1 + omega * time);
+  }
+
+  return (progress) => {
+    if (progress <= 0) return 0;
+    if (progress >= 1) return 1;
+    return 1 - displacement(progress * settle);
+  };
+}
+
+export const EASINGS = {
+  linear: t => t,
+  ease: cubicBezier(0.25, 0.1, 0.25, 1),
+  'ease-in': cubicBezier(0.42, 0, 1, 1),
+  'ease-out': cubicBezier(0, 0, 0.58, 1),
+  'ease-in-out': cubicBezier(0.42, 0, 0.58, 1),
+  'ease-in-cubic': t => t * t * t,
+  'ease-out-cubic': t => 1 - (1 - t) ** 3,
+  'ease-in-out-cubic': t => (t < 0.5 ? 4 * t * t * t : 1 - (-2 * t + 2) ** 3 / 2),
+  'ease-out-back': cubicBezier(0.34, 1.56, 0.64, 1),
+  spring: spring(),
+};
+
+const CUBIC_BEZIER = /^cubic-bezier\(([^)]*)\)$/;
+
+export function resolveEasing(easing) {
+  if (typeof easing === 'function') return easing;
+
+  if (Array.isArray(easing) && easing.length === 4) {
+    return cubicBezier(...easing);
+  }
+
+  if (typeof easing === 'string') {
+    if (EASINGS[easing]) return EASINGS[easing];
+
+    const match = easing.replace(/\s+/g, '').match(CUBIC_BEZIER);
+    const points = match?.[1].split(',').map(Number);
+    if (points?.length === 4 && points.every(Number.isFinite)) {
+      return cubicBezier(...points);
+    }
+  }
+
+  if (easing?.type === 'spring') {
+    const invalid = ['stiffness', 'damping', 'mass'].find(key => easing[key] !== undefined && !(easing[key] > 0));
+    if (invalid) {
+      throw new Error(`Spring ${invalid} must be positive, got ${easing[invalid]}`);
+    }
+    return spring(easing);
+  }
+
+  throw new Error(`Unknown easing ${JSON.stringify(easing)}`);
+}
@@ -0,0 +1,336 @@
+// Sampling of particle targets from model geometry
+// Shared by the simulation (runtime sampling) and tools/bake-particles.mjs.
+
+import * as THREE from 'three';
+import * as BufferGeometryUtils from 'three/addons/utils/BufferGeometryUtils.js';
+
+// Small, fast seeded PRNG (mulberry32) so the same seed gives the same points
+export function createRandom(seed = 1) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const TEXTURE_RESOLUTION = 1024; // px, textures are read back at most this large
+
+// Merge every mesh under `object` into one non-indexed, position-only
+// geometry in the object's local space. With `materials`, vertices also get
+// the `uv`, vertex `color` and `material` (an index into
+// geometry.userData.materials) needed to color sample points.
+export function mergeModelGeometry(object, { materials = false } = {}) {
+  object.updateMatrixWorld(true);
+  const rootInverse = object.matrixWorld.clone().invert();
+  const geometries = [];
+  const materialList = [];
+
+  object.traverse((child) => {
+    if (!child.isMesh) return;
+
+    const source = child.geometry.index ? child.geometry.toNonIndexed() : child.geometry;
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', source.getAttribute('position').clone());
+    geometry.applyMatrix4(new THREE.Matrix4().multiplyMatrices(rootInverse, child.matrixWorld));
+    if (materials) {
+      setMaterialAttributes(geometry, source, child.material, materialList);
+    }
+    geometries.push(geometry);
+  });
+
+  if (geometries.length === 0) {
+    throw new Error('Model contains no meshes to sample');
+  }
+
+  const merged = BufferGeometryUtils.mergeGeometries(geometries);
+  if (materials) merged.userData.materials = materialList;
+  return merged;
+}
+
+// Copy the attributes each vertex's material reads, per material group
+function setMaterialAttributes(geometry, source, material, materialList) {
+  const count = geometry.getAttribute('position').count;
+  const uv = new Float32Array(count * 2);
+  const color = new Float32Array(count * 3).fill(1);
+  const index = new Float32Array(count);
+
+  const meshMaterials = Array.isArray(material) ? material : [material];
+  const groups = Array.isArray(material) && source.groups.length > 0
+    ? source.groups
+    : [{ start: 0, count, materialIndex: 0 }];
+
+  groups.forEach((group) => {
+    const groupMaterial = meshMaterials[group.materialIndex] ?? meshMaterials[0];
+    const channel = groupMaterial.map?.channel ?? 0;
+    const uvAttribute = source.getAttribute(channel > 0 ? `uv${channel}` : 'uv');
+    const colorAttribute = groupMaterial.vertexColors ? source.getAttribute('color') : null;
+
+    let materialIndex = materialList.indexOf(groupMaterial);
+    if (materialIndex === -1) materialIndex = materialList.push(groupMaterial) - 1;
+
+    for (let i = group.start; i < Math.min(group.start + group.count, count); i++) {
+      if (uvAttribute) {
+        uv[i * 2] = uvAttribute.getX(i);
+        uv[i * 2 + 1] = uvAttribute.getY(i);
+      }
+      if (colorAttribute) {
+        color[i * 3] = colorAttribute.getX(i);
+        color[i * 3 + 1] = colorAttribute.getY(i);
+        color[i * 3 + 2] = colorAttribute.getZ(i);
+      }
+      index[i] = materialIndex;
+    }
+  });
+
+  geometry.setAttribute('uv', new THREE.BufferAttribute(uv, 2));
+  geometry.setAttribute('color', new THREE.BufferAttribute(color, 3));
+  geometry.setAttribute('material', new THREE.BufferAttribute(index, 1));
+}
+
+// Sample `count` points from a model. Returns { positions, colors } as flat
+// Float32Arrays, colors being null unless `colors` is set.
+// 'surface' distributes points over the triangles by area; 'volume' fills the
+// interior, which assumes a reasonably closed mesh.
+// Colors are the material's base color at each point: its color times the
+// vertex color and the base color texture, in sRGB. Volume points take the
+// color of the nearest surface along the X axis.
+export function sampleModel(object, { count, seed = 1, mode = 'surface', resolution = 64, colors = false } = {}) {
+  const geometry = mergeModelGeometry(object, { materials: colors });
+  const random = createRandom(seed);
+  const sampleColor = colors ? createColorSampler(geometry) : null;
+
+  if (mode === 'volume') {
+    return sampleVolume(geometry, count, random, resolution, sampleColor);
+  }
+  if (mode !== 'surface') {
+    throw new Error(`Unknown sampling mode "${mode}"`);
+  }
+  return sampleSurface(geometry, count, random, sampleColor);
+}
+
+// Draw a texture's image into a canvas to read its pixels. Returns null where
+// that isn't possible: without a DOM (the bake tool skips textures anyway)
+// or for compressed textures.
+function readTexture(texture) {
+  const image = texture?.image;
+  if (!image?.width || !image?.height) return null;
+  if (typeof OffscreenCanvas === 'undefined' && typeof document === 'undefined') return null;
+
+  const fit = Math.min(1, TEXTURE_RESOLUTION / Math.max(image.width, image.height));
+  const width = Math.max(1, Math.round(image.width * fit));
+  const height = Math.max(1, Math.round(image.height * fit));
+  const canvas = typeof OffscreenCanvas !== 'undefined'
+    ? new OffscreenCanvas(width, height)
+    : Object.assign(document.createElement('canvas'), { width, height });
+
+  try {
+    const context = canvas.getContext('2d');
+    context.drawImage(image, 0, 0, width, height);
+    return context.getImageData(0, 0, width, height);
+  } catch {
+    return null;
+  }
+}
+
+function interpolate(attribute, component, face, u, v) {
+  return attribute.getComponent(face * 3, component) * (1 - u - v)
+    + attribute.getComponent(face * 3 + 1, component) * u
+    + attribute.getComponent(face * 3 + 2, component) * v;
+}
+
+// Returns sampleColor(face, u, v, colors, offset), which writes the sRGB color
+// at barycentric (u, v) of a face of a geometry merged with `materials`
+function createColorSampler(geometry) {
+  const uv = geometry.getAttribute('uv');
+  const vertexColor = geometry.getAttribute('color');
+  const materialIndex = geometry.getAttribute('material');
+
+  const materials = geometry.userData.materials.map((material) => {
+    material.map?.updateMatrix();
+    return {
+      color: material.color ?? new THREE.Color(1, 1, 1),
+      map: material.map,
+      pixels: readTexture(material.map),
+    };
+  });
+
+  const point = new THREE.Vector2();
+  const color = new THREE.Color();
+  const texel = new THREE.Color();
+  const rgb = { r: 0, g: 0, b: 0 };
+
+  return function sampleColor(face, u, v, colors, offset) {
+    const material = materials[materialIndex.getX(face * 3)];
+    color.setRGB(
+      interpolate(vertexColor, 0, face, u, v),
+      interpolate(vertexColor, 1, face, u, v),
+      interpolate(vertexColor, 2, face, u, v),
+    ).multiply(material.color);
+
+    if (material.pixels) {
+      const { width, height, data } = material.pixels;
+      material.map.transformUv(point.set(interpolate(uv, 0, face, u, v), interpolate(uv, 1, face, u, v)));
+      const x = Math.min(Math.max(Math.floor(point.x * width), 0), width - 1);
+      const y = Math.min(Math.max(Math.floor(point.y * height), 0), height - 1);
+      const pixel = (y * width + x) * 4;
+      texel.setRGB(data[pixel] / 255, data[pixel + 1] / 255, data[pixel + 2] / 255, material.map.colorSpace);
+      color.multiply(texel);
+    }
+
+    color.getRGB(rgb, THREE.SRGBColorSpace);
+    colors[offset] = rgb.r;
+    colors[offset + 1] = rgb.g;
+    colors[offset + 2] = rgb.b;
+  };
+}
+
+function sampleSurface(geometry, count, random, sampleColor) {
+  const position = geometry.getAttribute('position');
+  const triangleCount = position.count / 3;
+  const cumulativeArea = new Float64Array(triangleCount);
+  const a = new THREE.Vector3();
+  const b = new THREE.Vector3();
+  const c = new THREE.Vector3();
+  const triangle = new THREE.Triangle(a, b, c);
+
+  let totalArea = 0;
+  for (let i = 0; i < triangleCount; i++) {
+    a.fromBufferAttribute(position, i * 3);
+    b.fromBufferAttribute(position, i * 3 + 1);
+    c.fromBufferAttribute(position, i * 3 + 2);
+    totalArea += triangle.getArea();
+    cumulativeArea[i] = totalArea;
+  }
+
+  const positions = new Float32Array(count * 3);
+  const colors = sampleColor ? new Float32Array(count * 3) : null;
+
+  for (let i = 0; i < count; i++) {
+    const face = findTriangle(cumulativeArea, random() * totalArea);
+    a.fromBufferAttribute(position, face * 3);
+    b.fromBufferAttribute(position, face * 3 + 1);
+    c.fromBufferAttribute(position, face * 3 + 2);
+
+    // Uniform barycentric coordinates, folding the far half of the square back
+    let u = random();
+    let v = random();
+    if (u + v > 1) {
+      u = 1 - u;
+      v = 1 - v;
+    }
+    const w = 1 - u - v;
+
+    positions[i * 3] = a.x * w + b.x * u + c.x * v;
+    positions[i * 3 + 1] = a.y * w + b.y * u + c.y * v;
+    positions[i * 3 + 2] = a.z * w + b.z * u + c.z * v;
+    sampleColor?.(face, u, v, colors, i * 3);
+  }
+
+  return { positions, colors };
+}
+
+// Binary search for the first triangle whose cumulative area reaches `target`
+function findTriangle(cumulativeArea, target) {
+  let low = 0;
+  let high = cumulativeArea.length - 1;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (cumulativeArea[mid] < target) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+}
+
+// Voxelize the mesh's bounding box, classify voxels as inside by ray parity
+// along X, then place points uniformly in randomly chosen inside voxels
+function sampleVolume(geometry, count, random, resolution, sampleColor) {
+  geometry.computeBoundingBox();
+  const { min, max } = geometry.boundingBox;
+  const size = new THREE.Vector3().subVectors(max, min);
+  const cell = Math.max(size.x, size.y, size.z) / resolution;
+  const nx = Math.max(1, Math.ceil(size.x / cell));
+  const ny = Math.max(1, Math.ceil(size.y / cell));
+  const nz = Math.max(1, Math.ceil(size.z / cell));
+
+  // Where each (y, z) column's center ray crosses the surface: the X
+  // coordinate, and the face and barycentric coordinates for coloring
+  const crossings = Array.from({ length: ny * nz }, () => []);
+  const position = geometry.getAttribute('position');
+  const a = new THREE.Vector3();
+  const b = new THREE.Vector3();
+  const c = new THREE.Vector3();
+
+  for (let i = 0; i < position.count; i += 3) {
+    a.fromBufferAttribute(position, i);
+    b.fromBufferAttribute(position, i + 1);
+    c.fromBufferAttribute(position, i + 2);
+
+    const denom = (b.y - a.y) * (c.z - a.z) - (c.y - a.y) * (b.z - a.z);
+    if (denom === 0) continue; // edge-on to the rays
+
+    const y0 = Math.max(0, Math.floor((Math.min(a.y, b.y, c.y) - min.y) / cell - 0.5));
+    const y1 = Math.min(ny - 1, Math.ceil((Math.max(a.y, b.y, c.y) - min.y) / cell - 0.5));
+    const z0 = Math.max(0, Math.floor((Math.min(a.z, b.z, c.z) - min.z) / cell - 0.5));
+    const z1 = Math.min(nz - 1, Math.ceil((Math.max(a.z, b.z, c.z) - min.z) / cell - 0.5));
+
+    for (let iy = y0; iy <= y1; iy++) {
+      const py = min.y + (iy + 0.5) * cell;
+      for (let iz = z0; iz <= z1; iz++) {
+        const pz = min.z + (iz + 0.5) * cell;
+        const u = ((py - a.y) * (c.z - a.z) - (c.y - a.y) * (pz - a.z)) / denom;
+        const v = ((b.y - a.y) * (pz - a.z) - (py - a.y) * (b.z - a.z)) / denom;
+        if (u < 0 || v < 0 || u + v > 1) continue;
+
+        crossings[iy * nz + iz].push({ x: a.x + (b.x - a.x) * u + (c.x - a.x) * v, face: i / 3, u, v });
+      }
+    }
+  }
+
+  const inside = [];
+  const nearestCrossing = [];
+  crossings.forEach((xs, column) => {
+    xs.sort((p, q) => p.x - q.x);
+    const iy = Math.floor(column / nz);
+    const iz = column % nz;
+
+    for (let k = 0; k + 1 < xs.length; k += 2) {
+      const x0 = Math.max(0, Math.ceil((xs[k].x - min.x) / cell - 0.5));
+      const x1 = Math.min(nx - 1, Math.floor((xs[k + 1].x - min.x) / cell - 0.5));
+      for (let ix = x0; ix <= x1; ix++) {
+        const x = min.x + (ix + 0.5) * cell;
+        inside.push(ix, iy, iz);
+        nearestCrossing.push(x - xs[k].x < xs[k + 1].x - x ? xs[k] : xs[k + 1]);
+      }
+    }
+  });
+
+  if (inside.length === 0) {
+    // Open meshes have no interior to fill
+    return sampleSurface(geometry, count, random, sampleColor);
+  }
+
+  const voxelCount = inside.length / 3;
+  const positions = new Float32Array(count * 3);
+  const colors = sampleColor ? new Float32Array(count * 3) : null;
+
+  for (let i = 0; i < count; i++) {
+    const index = Math.floor(random() * voxelCount);
+    const voxel = index * 3;
+    positions[i * 3] = min.x + (inside[voxel] + random()) * cell;
+    positions[i * 3 + 1] = min.y + (inside[voxel + 1] + random()) * cell;
+    positions[i * 3 + 2] = min.z + (inside[voxel + 2] + random()) * cell;
+
+    if (sampleColor) {
+      const { face, u, v } = nearestCrossing[index];
+      sampleColor(face, u, v, colors, i * 3);
+    }
+  }
+
+  return { positions, colors };
+}
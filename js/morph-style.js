@@ -0,0 +1,34 @@
+// Transition styles: the route particles take between two shapes
+//
+// 'direct'   - straight from the current target to the next (default)
+// 'scatter'  - burst into a loose sphere cloud of `radius`, then reform
+// 'vortex'   - swirl through a column of `radius` and `height`, turning at
+//              `spin` radians per second
+// 'collapse' - fall into a small ball of `radius` at the center, then reform
+//
+// Routed styles spend the first `gather` of each particle's progress moving
+// into the formation, stay for `hold`, and use the rest to reform. They read
+// best with a longer transition `duration` than the direct default.
+// A style is configured by name or as an object with a `type` and options.
+
+export const MORPH_STYLES = ['direct', 'scatter', 'vortex', 'collapse'];
+
+const STYLE_DEFAULTS = {
+  direct: {},
+  scatter: { radius: 0.4, gather: 0.4, hold: 0.2 },
+  vortex: { radius: 0.2, height: 0.7, spin: 4, gather: 0.4, hold: 0.2 },
+  collapse: { radius: 0.05, gather: 0.45, hold: 0.1 },
+};
+
+export function resolveStyle(style = 'direct') {
+  const options = typeof style === 'string' ? { type: style } : { ...style };
+  if (!MORPH_STYLES.includes(options.type)) {
+    throw new Error(`Unknown morph style "${options.type}"`);
+  }
+
+  const resolved = { radius: 0, height: 0, spin: 0, gather: 0.5, hold: 0, ...STYLE_DEFAULTS[options.type], ...options };
+  if (options.type !== 'direct' && !(resolved.gather > 0 && resolved.hold >= 0 && resolved.gather + resolved.hold < 1)) {
+    throw new Error(`Morph style "${options.type}" needs gather > 0, hold >= 0 and gather + hold < 1`);
+  }
+  return resolved;
+}
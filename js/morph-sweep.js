@@ -0,0 +1,41 @@
+// Staggered morphs: each particle starts moving after a delay, so a shape can
+// build up in a sweep instead of all at once
+//
+// 'none'      - every particle moves together (default)
+// 'direction' - along `direction` through the volume, [0, 1, 0] is bottom to top
+// 'radial'    - outwards from `origin`, a point in the 0..1 volume or 'cursor'
+// 'noise'     - in patches from a noise field with `scale` cells per unit
+// 'index'     - by particle index, which dissolves the shape evenly
+//
+// Delays are normalized to 0..1 from the particle's target in the next shape.
+// `spread` is the share of the transition that delays are spread over: 0 moves
+// every particle together, 0.9 leaves each particle a tenth of the duration.
+// A sweep is configured by name or as an object with a `type` and options.
+
+export const SWEEP_TYPES = ['none', 'direction', 'radial', 'noise', 'index'];
+
+const SWEEP_DEFAULTS = {
+  none: { spread: 0 },
+  direction: { spread: 0.6, direction: [0, 1, 0] },
+  radial: { spread: 0.6, origin: [0.5, 0.5, 0.5], radius: 0.5 },
+  noise: { spread: 0.6, scale: 4 },
+  index: { spread: 0.6 },
+};
+
+export function resolveSweep(sweep = 'none') {
+  const options = typeof sweep === 'string' ? { type: sweep } : { ...sweep };
+  if (!SWEEP_TYPES.includes(options.type)) {
+    throw new Error(`Unknown sweep "${options.type}"`);
+  }
+
+  const resolved = { ...SWEEP_DEFAULTS[options.type], ...options };
+  if (!(resolved.spread >= 0 && resolved.spread < 1)) {
+    throw new Error(`Sweep spread must be at least 0 and less than 1, got ${resolved.spread}`);
+  }
+  if (resolved.direction) {
+    const length = Math.hypot(...resolved.direction);
+    if (!(length > 0)) throw new Error('Sweep direction must not be zero');
+    resolved.direction = resolved.direction.map(value => value / length);
+  }
+  return resolved;
+}
@@ -0,0 +1,121 @@
+// What makes the simulation move on to the next shape
+//
+// 'rotation' - after every full turn of the particles (default)
+// 'interval' - every `interval` seconds of animation
+// 'click'    - on a click or tap inside the container
+// 'viewport' - each time the container scrolls into view
+// 'scroll'   - when the page's scroll position crosses one of `thresholds`
+// 'manual'   - never; shapes only change through morphTo()
+//
+// A trigger is configured by name or as an object with a `type` and options.
+
+export const MORPH_TRIGGERS = ['rotation', 'interval', 'click', 'viewport', 'scroll', 'manual'];
+
+const TRIGGER_DEFAULTS = {
+  interval: { interval: 5 }, // seconds
+  viewport: { threshold: 0.5 }, // fraction of the container that must be visible
+  // Fractions of the scrollable height. Band i between thresholds shows
+  // `shapes[i]` (ids or indices), or shape i, wrapping around, by default.
+  scroll: { thresholds: [0.25, 0.5, 0.75], shapes: null },
+};
+
+const FULL_ROTATION = Math.PI * 2;
+
+export function resolveTriggerConfig(trigger = 'rotation') {
+  const options = typeof trigger === 'string' ? { type: trigger } : { ...trigger };
+  if (!MORPH_TRIGGERS.includes(options.type)) {
+    throw new Error(`Unknown morph trigger "${options.type}"`);
+  }
+  return { ...TRIGGER_DEFAULTS[options.type], ...options };
+}
+
+// `advance()` moves on to the next shape; `morphTo(shape)` jumps to a given one.
+// `shapeCount` is the number of shapes in the manifest.
+// Returns { update(deltaTime, rotationDelta), reset() }: update() runs every
+// frame, reset() restarts the count towards the next automatic morph.
+export function createMorphTrigger(trigger, { container, shapeCount, advance, morphTo }) {
+  const options = resolveTriggerConfig(trigger);
+  const none = { update() {}, reset() {} };
+
+  switch (options.type) {
+    case 'rotation':
+      return accumulate(FULL_ROTATION, (deltaTime, rotationDelta) => rotationDelta, advance);
+
+    case 'interval':
+      return accumulate(options.interval, deltaTime => deltaTime, advance);
+
+    case 'click':
+      onClick(container, advance);
+      break;
+
+    case 'viewport':
+      onEnterViewport(container, options.threshold, advance);
+      break;
+
+    case 'scroll':
+      onScrollBands(options, shapeCount, morphTo);
+      break;
+  }
+
+  return none;
+}
+
+function accumulate(limit, measure, advance) {
+  let elapsed = 0;
+
+  return {
+    update(deltaTime, rotationDelta) {
+      elapsed += measure(deltaTime, rotationDelta);
+      if (elapsed >= limit) {
+        elapsed = 0;
+        advance();
+      }
+    },
+    reset() {
+      elapsed = 0;
+    },
+  };
+}
+
+// The default container doesn't take pointer events, so clicks are hit-tested
+// against its bounds instead of being listened for on the canvas
+function onClick(container, advance) {
+  const listener = (event) => {
+    const rect = container.getBoundingClientRect();
+    if (event.clientX >= rect.left && event.clientX <= rect.right
+      && event.clientY >= rect.top && event.clientY <= rect.bottom) {
+      advance();
+    }
+  };
+
+  window.addEventListener('click', listener);
+}
+
+function onEnterViewport(container, threshold, advance) {
+  // The first callback reports the initial state, which isn't an entrance
+  let initial = true;
+  const observer = new IntersectionObserver(([entry]) => {
+    if (entry.isIntersecting && !initial) advance();
+    initial = false;
+  }, { threshold });
+
+  observer.observe(container);
+}
+
+function onScrollBands({ thresholds, shapes }, shapeCount, morphTo) {
+  let band = -1;
+
+  const update = () => {
+    const scrollable = document.documentElement.scrollHeight - window.innerHeight;
+    const position = scrollable > 0 ? window.scrollY / scrollable : 0;
+    const current = thresholds.filter(threshold => position >= threshold).length;
+    if (current === band) return;
+
+    band = current;
+    // Shapes that aren't loaded yet are skipped until the next crossing
+    morphTo(shapes ? shapes[band % shapes.length] : band % shapeCount).catch(() => {});
+  };
+
+  window.addEventListener('scroll', update, { passive: true });
+  update();
+}
@@ -0,0 +1,170 @@
+// Particle target file formats
+//
+// Positions are handled as flat Float32Arrays of interleaved x, y, z values,
+// and optional per-point colors likewise as r, g, b values in 0..1 (sRGB).
+// Two formats are read: the legacy JSON array of [x, y, z] points, optionally
+// [x, y, z, r, g, b], and a compact binary format (.ptcl), little-endian:
+//
+//   offset  size  field
+//   0       4     magic "PTCL"
+//   4       2     version (1)
+//   6       2     flags (bit 0: positions are Uint16-quantized,
+//                        bit 1: colors follow the positions)
+//   8       4     point count
+//   12      12    bounds min x, y, z (Float32)
+//   24      12    bounds max x, y, z (Float32)
+//   36            positions, count * 3 Float32 or Uint16 values
+//                 colors, count * 3 Uint8 values
+//
+// Quantized values map 0..65535 linearly onto the bounds of each axis.
+// Readers that predate colors ignore the flag and the trailing bytes.
+
+const MAGIC = 0x4c435450; // "PTCL" read as a little-endian Uint32
+const VERSION = 1;
+const HEADER_SIZE = 36;
+const FLAG_QUANTIZED = 1;
+const FLAG_COLORS = 2;
+const QUANTIZE_MAX = 65535;
+
+export const BINARY_EXTENSION = '.ptcl';
+
+export function isBinaryParticles(buffer) {
+  return buffer.byteLength >= HEADER_SIZE && new DataView(buffer).getUint32(0, true) === MAGIC;
+}
+
+// Decode either format into { positions, colors }, colors being null when the
+// file has none. The header is authoritative; the URL's extension only
+// improves the error for bad files.
+export function decodeParticles(buffer, url = '') {
+  if (isBinaryParticles(buffer)) {
+    return decodeBinary(buffer);
+  }
+
+  if (new URL(url, 'file:///').pathname.endsWith(BINARY_EXTENSION)) {
+    throw new Error('Missing PTCL header');
+  }
+
+  return decodeJSON(buffer);
+}
+
+function decodeJSON(buffer) {
+  const points = JSON.parse(new TextDecoder().decode(buffer));
+  const positions = new Float32Array(points.length * 3);
+  const hasColors = points.length > 0 && points[0].length >= 6;
+  const colors = hasColors ? new Float32Array(points.length * 3) : null;
+
+  points.forEach((point, i) => {
+    if (point.length >= 6 !== hasColors) {
+      throw new Error(`Either every point or none needs a color, point ${i} differs`);
+    }
+    for (let axis = 0; axis < 3; axis++) {
+      positions[i * 3 + axis] = point[axis];
+      if (colors) colors[i * 3 + axis] = point[3 + axis];
+    }
+  });
+
+  return { positions, colors };
+}
+
+function decodeBinary(buffer) {
+  const view = new DataView(buffer);
+  const version = view.getUint16(4, true);
+  if (version > VERSION) {
+    throw new Error(`Unsupported PTCL version ${version}`);
+  }
+
+  const flags = view.getUint16(6, true);
+  const count = view.getUint32(8, true);
+  const bytesPerValue = flags & FLAG_QUANTIZED ? 2 : 4;
+  const colorOffset = HEADER_SIZE + count * 3 * bytesPerValue;
+  if (buffer.byteLength < colorOffset + (flags & FLAG_COLORS ? count * 3 : 0)) {
+    throw new Error(`Truncated PTCL data: expected ${count} points`);
+  }
+
+  return {
+    positions: decodePositions(buffer, flags, count),
+    colors: flags & FLAG_COLORS
+      ? Float32Array.from(new Uint8Array(buffer, colorOffset, count * 3), value => value / 255)
+      : null,
+  };
+}
+
+function decodePositions(buffer, flags, count) {
+  if (!(flags & FLAG_QUANTIZED)) {
+    return new Float32Array(buffer.slice(HEADER_SIZE, HEADER_SIZE + count * 12));
+  }
+
+  const view = new DataView(buffer);
+  const min = [0, 1, 2].map(axis => view.getFloat32(12 + axis * 4, true));
+  const max = [0, 1, 2].map(axis => view.getFloat32(24 + axis * 4, true));
+  const quantized = new Uint16Array(buffer, HEADER_SIZE, count * 3);
+  const positions = new Float32Array(count * 3);
+  const scale = max.map((value, axis) => (value - min[axis]) / QUANTIZE_MAX);
+
+  for (let i = 0; i < count * 3; i++) {
+    const axis = i % 3;
+    positions[i] = min[axis] + quantized[i] * scale[axis];
+  }
+
+  return positions;
+}
+
+// Encode flat positions, and optionally colors, into the binary format.
+// Quantizing halves the size at a precision of 1/65535 of the bounds, well
+// below a particle's radius. Colors are stored at 8 bits per channel.
+export function encodeParticles(positions, { quantize = false, colors = null } = {}) {
+  const count = positions.length / 3;
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+
+  for (let i = 0; i < positions.length; i++) {
+    const axis = i % 3;
+    min[axis] = Math.min(min[axis], positions[i]);
+    max[axis] = Math.max(max[axis], positions[i]);
+  }
+
+  for (let axis = 0; axis < 3; axis++) {
+    // Round to what the header can store so quantization matches decoding
+    min[axis] = count > 0 ? Math.fround(min[axis]) : 0;
+    max[axis] = count > 0 ? Math.fround(max[axis]) : 0;
+  }
+
+  if (colors && colors.length !== positions.length) {
+    throw new Error(`Expected ${count} colors, got ${colors.length / 3}`);
+  }
+
+  const bytesPerValue = quantize ? 2 : 4;
+  const colorOffset = HEADER_SIZE + count * 3 * bytesPerValue;
+  const buffer = new ArrayBuffer(colorOffset + (colors ? count * 3 : 0));
+  const view = new DataView(buffer);
+
+  view.setUint32(0, MAGIC, true);
+  view.setUint16(4, VERSION, true);
+  view.setUint16(6, (quantize ? FLAG_QUANTIZED : 0) | (colors ? FLAG_COLORS : 0), true);
+  view.setUint32(8, count, true);
+  for (let axis = 0; axis < 3; axis++) {
+    view.setFloat32(12 + axis * 4, min[axis], true);
+    view.setFloat32(24 + axis * 4, max[axis], true);
+  }
+
+  if (quantize) {
+    const quantized = new Uint16Array(buffer, HEADER_SIZE, count * 3);
+    for (let i = 0; i < positions.length; i++) {
+      const axis = i % 3;
+      const range = max[axis] - min[axis];
+      const value = range > 0 ? Math.round(((positions[i] - min[axis]) / range) * QUANTIZE_MAX) : 0;
+      quantized[i] = Math.min(Math.max(value, 0), QUANTIZE_MAX);
+    }
+  } else {
+    new Float32Array(buffer, HEADER_SIZE, count * 3).set(positions);
+  }
+
+  if (colors) {
+    const bytes = new Uint8Array(buffer, colorOffset, count * 3);
+    for (let i = 0; i < colors.length; i++) {
+      bytes[i] = Math.round(Math.min(Math.max(colors[i], 0), 1) * 255);
+    }
+  }
+
+  return buffer;
+}
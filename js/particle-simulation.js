@@ -7,6 +7,38 @@ import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import * as BufferGeometryUtils from 'three/addons/utils/BufferGeometryUtils.js';
 import WebGPU from 'three/addons/capabilities/WebGPU.js';
 import { RenderTarget } from 'three';
+import {
+  AssetLoadError,
+  DEFAULT_FETCH_OPTIONS,
+  createLoadProgress,
+  fetchBuffer,
+  fetchTracked,
+  openAssetCache,
+  parseJSON,
+} from './asset-loader.js';
+import { decodeParticles } from './particle-format.js';
+import { createRandom, sampleModel } from './mesh-sampler.js';
+import {
+  rasterizeImage,
+  rasterizeSvg,
+  rasterizeText,
+  sampleImage,
+  sampleMask,
+  svgFromPath,
+} from './raster-sampler.js';
+import { EASINGS, resolveEasing } from './easing.js';
+import { createMatcher, invertMapping } from './correspondence.js';
+import { createMorphTrigger, resolveTriggerConfig } from './morph-triggers.js';
+import { MORPH_STYLES, resolveStyle } from './morph-style.js';
+import { SWEEP_TYPES, resolveSweep } from './morph-sweep.js';
+import { createTimelinePlayer, parseTimeline } from './timeline.js';
+import {
+  EXTRA_PARTICLE_POLICIES,
+  fillExtraTargets,
+  selectPoints,
+  subsampleIndices,
+} from './shape-targets.js';
+import { fitPlacement, measureBounds, orientPositions, resolveTransform } from './shape-transform.js';
 
 import {
   Fn,
@@ -38,80 +70,517 @@ import {
   uv,
   vec2,
   texture,
+  mix,
+  mx_noise_float,
+  hash,
 } from 'three/tsl';
 
-// Base CDN URL for assets
-const ASSET_BASE_URL = 'https://cdn.jsdelivr.net/gh/PatchBalck/webflow-particle-simulation@main';
+// Asset locations. Paths are resolved against `assetBase`, which itself is
+// resolved against the page, so both absolute CDN URLs and relative paths work.
+// Defaults to the repository root this module is served from.
+const DEFAULT_ASSET_BASE = new URL('../', import.meta.url).href;
 
-// Particle position data for morphing
-let cubePositions, conePositions, monkeyPositions;
-let globalMinX, globalMaxX, globalMinY, globalMaxY, globalMinZ, globalMaxZ, globalMaxRange;
-let currentShapeIndex = 0; // 0=cube, 1=cone, 2=monkey
+const DEFAULT_ASSETS = {
+  manifest: 'assets/shapes.json',
+  environment: 'assets/textures/royal_esplanade_1k.hdr',
+};
+
+const DEFAULT_LOADING = {
+  ...DEFAULT_FETCH_OPTIONS,
+  // When a model fails: 'skip' shows particles only for that shape, 'fail' aborts
+  onModelError: 'skip',
+  // When particle data fails: 'procedural' substitutes a sphere, 'skip' drops
+  // the shape, 'fail' aborts
+  onParticlesError: 'procedural',
+};
+
+// Default transition; morphTo() can override each field per call.
+// `modelEasing` (the model reveal) follows `easing` (the particles) unless set.
+const DEFAULT_MORPH = {
+  duration: 0.3, // seconds
+  easing: 'linear',
+  modelEasing: null,
+  sweep: 'none', // see morph-sweep.js
+  style: 'direct', // see morph-style.js
+};
+
+// Particle color (sRGB) for shapes without colors of their own
+const DEFAULT_PARTICLE_COLOR = [0.627, 0.682, 0.757];
+
+// Samples of the particle easing handed to the shaders, which ease each
+// particle's own (staggered) progress through it
+const EASING_SAMPLES = 128;
+
+// Resolved in init() from options, the container's data attributes and
+// window.ParticleSimulationConfig (in that order of precedence)
+let config;
+
+// Tracks manifest, particle data, models, environment map and shader compilation
+let loadProgress;
+
+// Cache Storage for particle data, models and the environment map, when enabled
+let assetCache = null;
+
+// Shapes in morph order, built from the manifest. Each holds its particle
+// positions (flat x, y, z), its offset into the shared target buffer and an
+// (optional) model container.
+// Shapes load independently; `status` goes from 'loading' to 'ready' once the
+// targets are available, or to 'failed'. Only ready shapes take part in morphs.
+//
+// `space` says where positions come from, which sets the defaults of the
+// shape's transform (see shape-transform.js):
+// 'source' - baked particle files, Z up, fitted to bounds shared between them
+// 'model'  - sampled from the model, in its own coordinates
+// 'normalized' - already in simulation space
+// Once loaded, positions are held oriented by the transform, Y up.
+let shapes = [];
+// Bounds of every ready shape with the 'shared' fit
+let sharedBounds = null;
+let currentShapeIndex = 0;
 
 // 3D Models
-let monitorModel, mobileModel, vrModel;
 const modelLoader = new GLTFLoader();
+let environmentMap = null;
 let nextShapeIndex = 1;
+// Starts below 1 so the first shape's model is revealed; that reveal has no
+// morphCompletion and isn't a morph as far as morphTo() and events go
 let morphProgress = 0;
-let autoMorphRotation = 0;
-const morphDuration = 0.3;
-const fullRotation = Math.PI * 2;
+let morphTrigger = null;
+let morphDuration = DEFAULT_MORPH.duration;
+let morphEasing = EASINGS.linear;
+let modelEasing = EASINGS.linear;
+
+// Completion of the morph in flight: { promise, resolve }, settled by
+// updateMorphing() or when another morph takes over
+let morphCompletion = null;
+
+// The latest morph as lifecycle events describe it: { from, to, duration,
+// source }, shape ids and the trigger type, 'api', 'timeline' or 'start'
+let morphDetail = null;
+
+// morphstart, morphend and shapechange are dispatched on the container and
+// passed to listeners registered with on()
+const LIFECYCLE_EVENTS = ['morphstart', 'morphend', 'shapechange'];
+const lifecycleListeners = new Map(LIFECYCLE_EVENTS.map(type => [type, new Set()]));
+let containerElement = null;
+const pendingEvents = [];
+
+// With `correspondence: 'transport'`, mappings between the targets of each
+// pair of ready shapes, keyed "a:b" by shape index with a < b:
+// { versions, mapping (a's targets to b's), inverse }. They're computed in
+// the background and recomputed when either shape's targets change.
+const correspondences = new Map();
+let correspondenceScheduled = false;
+let matcher = null;
+
+// Player of the timeline from loadTimeline() or the `timeline` option. While
+// there is one, its property values override `params` and the camera.
+let timeline = null;
+let timelineGlitch = 0;
+let defaultCameraPosition = null;
 
 function deg(degrees) {
   return degrees * (Math.PI / 180);
 }
 
-// Load particle positions
-async function loadParticlePositions() {
-  const totalAssets = 7; // 3 particles + 3 models + 1 HDR
-  let loadedAssets = 0;
+function getContainer() {
+  let container = document.getElementById('particle-canvas-container');
+  if (!container) {
+    container = document.createElement('div');
+    container.id = 'particle-canvas-container';
+    container.style.cssText = 'position: absolute; top: 0; left: 0; width: 100%; height: 100%; pointer-events: none;';
+    document.body.appendChild(container);
+  }
+  return container;
+}
+
+function resolveConfig(options, container) {
+  const globalConfig = window.ParticleSimulationConfig || {};
+  const assetBase = options.assetBase
+    ?? container.dataset.assetBase
+    ?? globalConfig.assetBase
+    ?? DEFAULT_ASSET_BASE;
+
+  return {
+    ...globalConfig,
+    ...options,
+    assetBase: new URL(assetBase.endsWith('/') ? assetBase : `${assetBase}/`, document.baseURI).href,
+    assets: { ...DEFAULT_ASSETS, ...globalConfig.assets, ...options.assets },
+    loading: { ...DEFAULT_LOADING, ...globalConfig.loading, ...options.loading },
+    cache: resolveCacheConfig(options.cache ?? globalConfig.cache ?? false),
+    extraParticles: options.extraParticles ?? globalConfig.extraParticles ?? 'duplicate',
+    trigger: resolveTriggerConfig(options.trigger ?? globalConfig.trigger ?? 'rotation'),
+    morph: resolveTransition({ ...DEFAULT_MORPH, ...globalConfig.morph, ...options.morph }),
+    correspondence: resolveCorrespondence(options.correspondence ?? globalConfig.correspondence ?? 'index'),
+  };
+}
+
+// 'index' sends particle i to point i of every shape; 'transport' pairs the
+// points of each two shapes so particles travel as little as possible
+function resolveCorrespondence(correspondence) {
+  if (!['index', 'transport'].includes(correspondence)) {
+    throw new Error(`Unknown correspondence "${correspondence}"`);
+  }
+  return correspondence;
+}
+
+// Resolve a transition's easings to functions and its sweep and style to
+// options, throwing for unknown ones
+function resolveTransition({ duration, easing, modelEasing, sweep, style }) {
+  if (!(duration > 0)) {
+    throw new Error(`Morph duration must be a positive number of seconds, got ${duration}`);
+  }
+  return {
+    duration,
+    easing: resolveEasing(easing),
+    modelEasing: resolveEasing(modelEasing ?? easing),
+    sweep: resolveSweep(sweep),
+    style: resolveStyle(style),
+  };
+}
+
+// `cache: true` or `cache: { version }` enables persistent caching. Changing
+// the version discards everything cached under the previous one.
+function resolveCacheConfig(cache) {
+  if (!cache) return null;
+  return { version: '1', ...(cache === true ? {} : cache) };
+}
+
+function assetUrl(name) {
+  return new URL(config.assets[name], config.assetBase).href;
+}
+
+function createShape(entry, baseUrl) {
+  const sampled = Boolean(entry.sample && entry.model);
+  if (!entry.id || !(entry.particles || sampled || entry.text || entry.svg || entry.image)) {
+    throw new Error(`Shape entries need an "id" and a "particles" URL, a "model" to sample, "text", an "svg" or an "image": ${JSON.stringify(entry)}`);
+  }
+
+  const svg = typeof entry.svg === 'string' ? { url: entry.svg } : entry.svg ?? null;
+  const image = typeof entry.image === 'string' ? { url: entry.image } : entry.image ?? null;
+  if (image && !image.url) {
+    throw new Error(`Image shapes need a "url": ${JSON.stringify(entry)}`);
+  }
+  if (svg && !svg.url && !(svg.path && svg.viewBox)) {
+    throw new Error(`SVG shapes need a "url", or a "path" and its "viewBox": ${JSON.stringify(entry)}`);
+  }
+
+  const space = sampled ? 'model' : entry.text || svg || image ? 'normalized' : 'source';
+  const extraParticles = entry.options?.extraParticles ?? config.extraParticles;
+  if (!EXTRA_PARTICLE_POLICIES.includes(extraParticles)) {
+    throw new Error(`Unknown extraParticles policy "${extraParticles}" for shape "${entry.id}"`);
+  }
+
+  const transform = resolveTransform(entry.options?.transform, TRANSFORM_DEFAULTS[space]);
+  if (entry.options?.modelScale !== undefined && transform.fit !== 'none') {
+    console.warn(`Shape "${entry.id}" sets modelScale, which only applies with the "none" fit (its fit is "${transform.fit}")`);
+  }
+
+  return {
+    id: entry.id,
+    name: entry.name ?? entry.id,
+    particlesUrl: entry.particles && !sampled ? new URL(entry.particles, baseUrl).href : null,
+    modelUrl: entry.model ? new URL(entry.model, baseUrl).href : null,
+    sample: sampled ? { count: params.particleCount, ...(entry.sample === true ? {} : entry.sample) } : null,
+    text: typeof entry.text === 'string' ? { value: entry.text } : entry.text ?? null,
+    svg: svg && { ...svg, url: svg.url ? new URL(svg.url, baseUrl).href : null },
+    image: image && {
+      ...image,
+      url: new URL(image.url, baseUrl).href,
+      depthMap: image.depthMap ? new URL(image.depthMap, baseUrl).href : null,
+    },
+    options: entry.options ?? {},
+    extraParticles,
+    seed: entry.options?.seed ?? 1,
+    visibleCount: 0,
+    version: entry.version ?? null,
+    status: 'loading',
+    positions: null,
+    // Per-point sRGB colors (flat r, g, b) for shapes that have their own
+    colors: null,
+    space,
+    transform,
+    // Scale and position the targets and model were last placed with
+    placement: null,
+    model: null,
+    targetOffset: 0,
+    targetsVersion: 0,
+    container: null,
+    modelThresholdUniform: null,
+    // How much of the model is shown, 0 to 1, and where the morph took it from
+    reveal: 0,
+    revealFrom: 0,
+  };
+}
+
+// Load the shape manifest. Inline `shapes` from config resolve against the
+// asset base, manifest entries resolve against the manifest URL.
+async function loadShapeManifest() {
+  if (config.shapes) {
+    shapes = config.shapes.map(entry => createShape(entry, config.assetBase));
+  } else {
+    const manifestUrl = assetUrl('manifest');
+    loadProgress.add('manifest', 'manifest', manifestUrl);
+    // Never cached: it is small, and it carries the per-shape versions
+    const manifest = await loadAsset('manifest', 'manifest', manifestUrl, parseJSON, { cache: null });
+    shapes = (manifest.shapes ?? []).map(entry => createShape(entry, manifestUrl));
+  }
+
+  // Startup waits for a first shape, which an empty list never provides
+  if (shapes.length === 0) {
+    throw new Error('The shape manifest lists no shapes');
+  }
+}
+
+// Fetch and parse an asset registered with the progress tracker. Errors are
+// tagged with the asset so callers can report them and decide how to degrade.
+async function loadAsset(id, type, url, parse, options = {}) {
+  try {
+    const buffer = await fetchTracked(loadProgress, id, url, { ...config.loading, cache: assetCache, ...options });
+    const result = await parse(buffer);
+    loadProgress.complete(id);
+    return result;
+  } catch (error) {
+    loadProgress.fail(id);
+
+    const loadError = error instanceof AssetLoadError
+      ? error
+      : new AssetLoadError(url, `invalid ${type} data (${error.message})`, { retryable: false });
+    loadError.asset = { id, type, url };
+    throw loadError;
+  }
+}
+
+// `fallback` names how loading continues, or is null when the error is fatal
+function reportLoadError(error, fallback) {
+  if (fallback) {
+    console.warn(`${error.message}, continuing with fallback "${fallback}"`);
+  } else {
+    console.error(error);
+  }
+
+  window.dispatchEvent(new CustomEvent('particleLoadError', {
+    detail: {
+      asset: error.asset ?? null,
+      reason: error.reason ?? error.message,
+      error,
+      fallback,
+      fatal: !fallback,
+    },
+  }));
+}
 
-  function updateProgress() {
-    loadedAssets++;
-    const progress = (loadedAssets / totalAssets) * 100;
-    window.dispatchEvent(new CustomEvent('particleLoadProgress', { 
-      detail: { progress, loaded: loadedAssets, total: totalAssets }
-    }));
+// Register everything still to load so the reported total is right from the start
+function registerAssets() {
+  shapes.forEach((shape) => {
+    if (shape.particlesUrl) {
+      loadProgress.add(`particles:${shape.id}`, 'particles', shape.particlesUrl);
+    }
+    if (shape.modelUrl) {
+      loadProgress.add(`model:${shape.id}`, 'model', shape.modelUrl);
+    }
+    if (shape.svg?.url) {
+      loadProgress.add(`svg:${shape.id}`, 'svg', shape.svg.url);
+    }
+    if (shape.image) {
+      loadProgress.add(`image:${shape.id}`, 'image', shape.image.url);
+    }
+    if (shape.image?.depthMap) {
+      loadProgress.add(`depth:${shape.id}`, 'image', shape.image.depthMap);
+    }
+  });
+  loadProgress.add('environment', 'environment', assetUrl('environment'));
+  if (typeof config.timeline === 'string') {
+    loadProgress.add('timeline', 'timeline', new URL(config.timeline, config.assetBase).href);
   }
+  loadProgress.add('shaders', 'shaders');
+}
 
-  const [cubeData, coneData, monkeyData] = await Promise.all([
-    fetch(`${ASSET_BASE_URL}/assets/particles/monitor-particle.json`)
-      .then((r) => r.json())
-      .then(data => { updateProgress(); return data; }),
-    fetch(`${ASSET_BASE_URL}/assets/particles/phone-particle.json`)
-      .then((r) => r.json())
-      .then(data => { updateProgress(); return data; }),
-    fetch(`${ASSET_BASE_URL}/assets/particles/vr-particle.json`)
-      .then((r) => r.json())
-      .then(data => { updateProgress(); return data; }),
+// Load every shape in the background. Resolves once all of them have settled;
+// rejects only when a failure is configured to be fatal.
+function loadShapes() {
+  return Promise.all([
+    loadEnvironment(),
+    ...shapes.map(shape => loadShape(shape)),
   ]);
+}
+
+async function loadShape(shape) {
+  const { onParticlesError } = config.loading;
+  const modelLoaded = loadShapeModel(shape);
+
+  try {
+    if (shape.particlesUrl) {
+      ({ positions: shape.positions, colors: shape.colors } = await loadAsset(
+        `particles:${shape.id}`, 'particles', shape.particlesUrl,
+        buffer => decodeParticles(buffer, shape.particlesUrl), { version: shape.version }
+      ));
+    } else if (shape.text) {
+      shape.positions = sampleMask(await rasterizeText(shape.text), rasterOptions(shape));
+    } else if (shape.svg) {
+      shape.positions = sampleMask(await rasterizeSvg(await loadSvgMarkup(shape)), rasterOptions(shape));
+    } else if (shape.image) {
+      ({ positions: shape.positions, colors: shape.colors } = await loadImageShape(shape));
+    } else {
+      const model = await modelLoaded;
+      if (model) {
+        ({ positions: shape.positions, colors: shape.colors } = sampleModel(model, shape.sample));
+      }
+    }
+  } catch (error) {
+    if (onParticlesError === 'fail') throw error;
+    reportLoadError(error, onParticlesError);
+  }
+
+  if (!shape.positions && onParticlesError === 'procedural') {
+    shape.positions = createFallbackPositions(particleCount());
+    shape.colors = null;
+    shape.space = 'normalized';
+    shape.transform = resolveTransform(shape.options.transform, TRANSFORM_DEFAULTS.normalized);
+  }
+
+  const chosen = shape.positions
+    && subsampleIndices(shape.positions.length / 3, particleCount(), createRandom(shape.seed));
+  if (chosen) {
+    shape.positions = selectPoints(shape.positions, chosen);
+    shape.colors = shape.colors && selectPoints(shape.colors, chosen);
+  }
+  if (shape.positions) {
+    const positions = shape.space === 'normalized' ? fromSimulationSpace(shape.positions) : shape.positions;
+    shape.positions = orientPositions(positions, shape.transform);
+  }
+
+  setShapeStatus(shape, shape.positions ? 'ready' : 'failed');
+  await modelLoaded;
+}
 
-  cubePositions = cubeData;
-  conePositions = coneData;
-  monkeyPositions = monkeyData;
+// Resolves to the model's scene, or null if the shape has none or it failed
+async function loadShapeModel(shape) {
+  if (!shape.modelUrl) return null;
+
+  try {
+    const gltf = await loadAsset(`model:${shape.id}`, 'model', shape.modelUrl, (buffer) =>
+      modelLoader.parseAsync(buffer, THREE.LoaderUtils.extractUrlBase(shape.modelUrl)), { version: shape.version }
+    );
+    shape.model = gltf.scene;
+    shape.container = createModelContainer(shape.model, shapes.indexOf(shape));
+    placeModel(shape);
+    return shape.model;
+  } catch (error) {
+    const fatal = config.loading.onModelError === 'fail'
+      || (shape.sample && config.loading.onParticlesError === 'fail');
+    if (fatal) throw error;
+    reportLoadError(error, 'skip');
+    return null;
+  }
+}
+
+function setShapeStatus(shape, status) {
+  shape.status = status;
+
+  if (status === 'ready' && particleBuffer) {
+    updateShapeTargets(shape);
+  }
+
+  const index = startShapeIndex();
+  if (index !== null) {
+    resolveStartShape(index);
+  }
+}
+
+// The simulation starts on the first shape in manifest order that is ready,
+// waiting on earlier shapes that are still loading. A shape with the 'shared'
+// fit also waits for every other one: each can widen the shared bounds, which
+// would shrink the shape on screen. Returns null while undecided and throws
+// once every shape has failed.
+function startShapeIndex() {
+  const sharedLoading = shapes.some(shape => shape.status === 'loading' && shape.transform.fit === 'shared');
+
+  for (let index = 0; index < shapes.length; index++) {
+    if (shapes[index].status === 'ready') {
+      return shapes[index].transform.fit === 'shared' && sharedLoading ? null : index;
+    }
+    if (shapes[index].status === 'loading') return null;
+  }
+  throw new Error('No particle data could be loaded');
+}
+
+let resolveStartShape = () => {};
+
+function waitForStartShape(shapesLoaded) {
+  return new Promise((resolve, reject) => {
+    resolveStartShape = resolve;
+    shapesLoaded.catch(reject);
+  });
+}
+
+// Stand-in for a shape whose particle data failed to load: an evenly
+// distributed sphere in the middle of the simulation volume
+function createFallbackPositions(count) {
+  const radius = 0.25;
+  const goldenAngle = Math.PI * (3 - Math.sqrt(5));
+  const positions = new Float32Array(count * 3);
+
+  for (let i = 0; i < count; i++) {
+    const y = 1 - (2 * (i + 0.5)) / count;
+    const ring = Math.sqrt(1 - y * y);
+    const theta = goldenAngle * i;
+    positions[i * 3] = 0.5 + Math.cos(theta) * ring * radius;
+    positions[i * 3 + 1] = 0.5 + y * radius;
+    positions[i * 3 + 2] = 0.5 + Math.sin(theta) * ring * radius;
+  }
+
+  return positions;
+}
+
+function rasterOptions(shape) {
+  const source = shape.text ?? shape.svg ?? shape.image;
+  return { count: particleCount(), random: createRandom(shape.seed), size: source.size, depth: source.depth };
+}
+
+async function loadImageShape(shape) {
+  const { url, depthMap, weight } = shape.image;
+  const [image, depthBuffer] = await Promise.all([
+    loadAsset(`image:${shape.id}`, 'image', url, buffer => rasterizeImage(buffer), { version: shape.version }),
+    depthMap
+      ? loadAsset(`depth:${shape.id}`, 'image', depthMap, buffer => buffer, { version: shape.version })
+      : null,
+  ]);
+  const depthData = depthBuffer && await rasterizeImage(depthBuffer, image);
+
+  return sampleImage(image, { ...rasterOptions(shape), weight, depthData });
+}
+
+async function loadSvgMarkup(shape) {
+  if (!shape.svg.url) return svgFromPath(shape.svg.path, shape.svg.viewBox);
+
+  return loadAsset(`svg:${shape.id}`, 'svg', shape.svg.url, buffer => new TextDecoder().decode(buffer), {
+    version: shape.version,
+  });
 }
 
 // Update morphing progress
 function updateMorphing(deltaTime, rotationDelta) {
-  autoMorphRotation += rotationDelta;
-
-  if (autoMorphRotation >= fullRotation) {
-    autoMorphRotation = 0;
-    startMorph();
+  // A playing timeline decides when shapes change
+  if (!timeline?.playing) {
+    morphTrigger.update(deltaTime, rotationDelta);
   }
 
   if (morphProgress < 1.0) {
     morphProgress += deltaTime / morphDuration;
     if (morphProgress >= 1.0) {
       morphProgress = 1.0;
-      currentShapeIndex = nextShapeIndex;
+      morphFromCaptureUniform.value = 0;
+      settleMorph(false);
+      promoteNextShape();
+      flushEvents();
     }
   }
 }
 
 function updateModels() {
-  const containers = [window.monitorContainer, window.mobileContainer, window.vrContainer];
-  
+  const containers = shapes.map(shape => shape.container);
+
   containers.forEach(container => {
     if (container) {
       container.rotation.y = particleMesh.rotation.y + Math.PI;
@@ -119,166 +588,485 @@ function updateModels() {
   });
 
   if (morphProgress < 1.0) {
-    const currentContainer = containers[currentShapeIndex];
-    const nextContainer = containers[nextShapeIndex];
-    
-    currentModelThresholdUniform.value = morphProgress;
-    nextModelThresholdUniform.value = 1.0 - morphProgress;
-    
-    glitchIntensity.value = 1.0 - Math.abs(morphProgress - 0.5) * 2;
-    
-    if (currentContainer) currentContainer.visible = true;
-    if (nextContainer) nextContainer.visible = true;
-    
-    const otherIndex = [0, 1, 2].find(i => i !== currentShapeIndex && i !== nextShapeIndex);
-    if (containers[otherIndex]) {
-      containers[otherIndex].visible = false;
-    }
+    // Overshooting easings would push the reveal past fully shown or hidden
+    const modelProgress = THREE.MathUtils.clamp(modelEasing(morphProgress), 0, 1);
+
+    // Every model moves from where it was when the morph started, so an
+    // interrupted reveal carries on instead of popping
+    shapes.forEach((shape, index) => {
+      const reveal = index === nextShapeIndex ? 1.0 : 0.0;
+      shape.reveal = THREE.MathUtils.lerp(shape.revealFrom, reveal, modelProgress);
+    });
   } else {
-    currentModelThresholdUniform.value = -1.0;
-    nextModelThresholdUniform.value = 1.0;
-    
-    glitchIntensity.value = 0.0;
-    
-    containers.forEach((container, index) => {
-      if (container) {
-        container.visible = (index === currentShapeIndex);
-      }
+    shapes.forEach((shape, index) => {
+      shape.reveal = index === currentShapeIndex ? 1.0 : 0.0;
     });
   }
+
+  // Strongest while a model is half revealed, and gone once they're settled
+  glitchIntensity.value = Math.max(timelineGlitch, ...shapes.map(shape => 1.0 - Math.abs(shape.reveal - 0.5) * 2));
+
+  shapes.forEach((shape) => {
+    if (shape.container) {
+      shape.container.visible = shape.reveal > 0;
+      shape.modelThresholdUniform.value = 1.0 - shape.reveal * 2.0;
+    }
+  });
 }
 
-function startMorph() {
-  morphProgress = 0;
-  nextShapeIndex = (currentShapeIndex + 1) % 3;
+// Next ready shape after `index` in manifest order, or `index` itself if no
+// other shape is ready yet
+function nextReadyShapeIndex(index) {
+  for (let step = 1; step < shapes.length; step++) {
+    const candidate = (index + step) % shapes.length;
+    if (shapes[candidate].status === 'ready') return candidate;
+  }
+  return index;
 }
 
-function normalizePosition(pos) {
-  return {
-    x: 0.5 - ((pos[0] - (globalMinX + globalMaxX) / 2) / globalMaxRange) * 1,
-    y: 0.5 + ((pos[2] - (globalMinZ + globalMaxZ) / 2) / globalMaxRange) * 1,
-    z: 0.5 + ((pos[1] - (globalMinY + globalMaxY) / 2) / globalMaxRange) * 1,
+// Move on to the ready shape after the one the particles are heading for
+function advanceMorph(source) {
+  const from = morphProgress < 1.0 ? nextShapeIndex : currentShapeIndex;
+  const next = nextReadyShapeIndex(from);
+  if (next !== from) startMorph(next, config.morph, source);
+}
+
+function startMorph(targetIndex, transition, source) {
+  if (targetIndex === currentShapeIndex && !morphCompletion) return;
+
+  settleMorph(true);
+  if (morphProgress < 1.0) interruptMorph();
+
+  shapes.forEach((shape) => {
+    shape.revealFrom = shape.reveal;
+  });
+
+  morphProgress = 0;
+  nextShapeIndex = targetIndex;
+  updateNextSlots();
+  applyTransition(transition);
+
+  let resolve;
+  const promise = new Promise((done) => { resolve = done; });
+  morphCompletion = { promise, resolve };
+
+  morphDetail = {
+    from: shapes[currentShapeIndex].id,
+    to: shapes[targetIndex].id,
+    duration: transition.duration,
+    source,
   };
+  emit('morphstart', morphDetail);
+  flushEvents();
+}
+
+// The next shape becomes the current one, which its slots now describe
+function promoteNextShape() {
+  const from = currentShapeIndex;
+  currentShapeIndex = nextShapeIndex;
+  currentSlotBuffer.value.array.set(nextSlotBuffer.value.array);
+  currentSlotBuffer.value.needsUpdate = true;
+
+  if (currentShapeIndex !== from) {
+    emit('shapechange', { ...morphDetail, from: shapes[from].id, to: shapes[currentShapeIndex].id });
+  }
+}
+
+// A new morph starts from where the particles are heading right now: their
+// blended targets are captured on the GPU with this frame's uniforms, and the
+// shape they're closer to becomes the current one for slots and morph order
+function interruptMorph() {
+  renderer.compute(captureMorphKernel);
+  morphFromCaptureUniform.value = 1;
+
+  if (morphEasing(morphProgress) >= 0.5) {
+    promoteNextShape();
+  }
 }
 
-// Load 3D models
-async function loadModels() {
-  function updateProgress() {
-    const event = new CustomEvent('particleLoadProgress', { 
-      detail: { progress: 0, loaded: 0, total: 0 }
+function applyTransition(transition) {
+  morphDuration = transition.duration;
+  morphEasing = transition.easing;
+  modelEasing = transition.modelEasing;
+
+  const samples = easingBuffer.value.array;
+  for (let i = 0; i < EASING_SAMPLES; i++) {
+    samples[i] = morphEasing(i / (EASING_SAMPLES - 1));
+  }
+  easingBuffer.value.needsUpdate = true;
+
+  const { sweep } = transition;
+  sweepTypeUniform.value = SWEEP_TYPES.indexOf(sweep.type);
+  sweepSpreadUniform.value = sweep.spread;
+
+  if (sweep.type === 'direction') {
+    sweepVectorUniform.value.fromArray(sweep.direction);
+  } else if (sweep.type === 'radial') {
+    // The cursor is only sampled when the morph starts
+    if (sweep.origin === 'cursor') sweepVectorUniform.value.copy(mouseCoord);
+    else sweepVectorUniform.value.fromArray(sweep.origin);
+    sweepScaleUniform.value = 1 / sweep.radius;
+  } else if (sweep.type === 'noise') {
+    sweepScaleUniform.value = sweep.scale;
+  }
+
+  const { style } = transition;
+  styleTypeUniform.value = MORPH_STYLES.indexOf(style.type);
+  styleRadiusUniform.value = style.radius;
+  styleHeightUniform.value = style.height;
+  styleSpinUniform.value = style.spin;
+  styleGatherUniform.value = style.gather;
+  styleHoldUniform.value = style.hold;
+}
+
+// Point every particle at the target in the next shape that corresponds to
+// the one it occupies in the current shape
+function updateNextSlots() {
+  const currentSlots = currentSlotBuffer.value.array;
+  const nextSlots = nextSlotBuffer.value.array;
+  const mapping = targetMapping(currentShapeIndex, nextShapeIndex);
+
+  for (let i = 0; i < nextSlots.length; i++) {
+    nextSlots[i] = mapping ? mapping[currentSlots[i]] : currentSlots[i];
+  }
+  nextSlotBuffer.value.needsUpdate = true;
+}
+
+// Null until the pair's mapping is available, which keeps the index order
+function targetMapping(from, to) {
+  const entry = correspondences.get(`${Math.min(from, to)}:${Math.max(from, to)}`);
+  if (!entry?.mapping) return null;
+  return from < to ? entry.mapping : entry.inverse;
+}
+
+function scheduleCorrespondences() {
+  if (config.correspondence !== 'transport' || correspondenceScheduled) return;
+
+  // Batched, since a change of shared bounds rewrites several shapes at once
+  correspondenceScheduled = true;
+  queueMicrotask(updateCorrespondences);
+}
+
+function updateCorrespondences() {
+  correspondenceScheduled = false;
+  matcher ??= createMatcher();
+
+  shapes.forEach((a, indexA) => {
+    shapes.forEach((b, indexB) => {
+      if (indexA >= indexB || a.status !== 'ready' || b.status !== 'ready') return;
+
+      const key = `${indexA}:${indexB}`;
+      const versions = `${a.targetsVersion}:${b.targetsVersion}`;
+      const previous = correspondences.get(key);
+      if (previous?.versions === versions) return;
+
+      // The outdated mapping stays in use until the new one arrives
+      const entry = { versions, mapping: previous?.mapping ?? null, inverse: previous?.inverse ?? null };
+      correspondences.set(key, entry);
+
+      matcher.match(shapeTargetArray(a).slice(), shapeTargetArray(b).slice()).then((mapping) => {
+        entry.mapping = mapping;
+        entry.inverse = invertMapping(mapping);
+      }, (error) => {
+        // Morphs between the pair keep the index order
+        console.warn(`Couldn't match targets of "${a.id}" and "${b.id}":`, error);
+      });
+    });
+  });
+}
+
+function settleMorph(interrupted) {
+  if (!morphCompletion) return;
+
+  morphCompletion.resolve({ shape: shapes[nextShapeIndex].id, interrupted });
+  morphCompletion = null;
+  emit('morphend', { ...morphDetail, interrupted });
+}
+
+// Events are queued until the morph state they describe is complete, then
+// flushed in order, so a listener that starts another morph builds on it
+function emit(type, detail) {
+  pendingEvents.push({ type, detail });
+}
+
+function flushEvents() {
+  while (pendingEvents.length > 0) {
+    const { type, detail } = pendingEvents.shift();
+    containerElement?.dispatchEvent(new CustomEvent(type, { detail }));
+    lifecycleListeners.get(type).forEach((listener) => {
+      // A failing listener must not stop the animation
+      try {
+        listener(detail);
+      } catch (error) {
+        console.error(error);
+      }
     });
-    window.dispatchEvent(event);
   }
+}
+
+// Listen for 'morphstart', 'morphend' (with `interrupted`) or 'shapechange'.
+// The listener gets { from, to, duration, source }: shape ids, the morph's
+// duration in seconds and what started it (the trigger type, 'api',
+// 'timeline', or 'start' for the first shape). Returns a function that
+// removes the listener.
+export function on(type, listener) {
+  if (!lifecycleListeners.has(type)) {
+    throw new Error(`Unknown event "${type}", expected one of ${LIFECYCLE_EVENTS.join(', ')}`);
+  }
+  lifecycleListeners.get(type).add(listener);
+  return () => lifecycleListeners.get(type).delete(listener);
+}
 
-  const hdrLoader = new HDRLoader();
-  const envMap = await hdrLoader.loadAsync(`${ASSET_BASE_URL}/assets/textures/royal_esplanade_1k.hdr`)
-    .then(map => {
-      updateProgress();
-      return map;
+function resolveShapeIndex(shapeIdOrIndex) {
+  const index = typeof shapeIdOrIndex === 'number'
+    ? shapeIdOrIndex
+    : shapes.findIndex(shape => shape.id === shapeIdOrIndex);
+
+  if (!shapes[index]) {
+    throw new Error(`Unknown shape "${shapeIdOrIndex}"`);
+  }
+  if (shapes[index].status !== 'ready') {
+    throw new Error(`Shape "${shapes[index].id}" is not loaded (${shapes[index].status})`);
+  }
+  return index;
+}
+
+// Start a transition to a shape, given by id or manifest index, right away.
+// Resolves with { shape, interrupted } once the particles arrive, or when a
+// later morph takes over (interrupted: true). Options: `duration` in seconds,
+// `easing` for the particles, `modelEasing` for the model reveal, `sweep`
+// and `style`.
+export function morphTo(shapeIdOrIndex, options = {}) {
+  return requestMorph(shapeIdOrIndex, options, 'api');
+}
+
+// morphTo() on behalf of `source`, for the lifecycle events
+function requestMorph(shapeIdOrIndex, options, source) {
+  if (!particleBuffer) {
+    return Promise.reject(new Error('The particle simulation has not started yet'));
+  }
+
+  let index, transition;
+  try {
+    index = resolveShapeIndex(shapeIdOrIndex);
+    // A per-call `easing` also applies to the model unless it has its own
+    transition = resolveTransition({
+      duration: options.duration ?? config.morph.duration,
+      easing: options.easing ?? config.morph.easing,
+      modelEasing: options.modelEasing ?? (options.easing ? null : config.morph.modelEasing),
+      sweep: options.sweep ?? config.morph.sweep,
+      style: options.style ?? config.morph.style,
     });
-  envMap.mapping = THREE.EquirectangularReflectionMapping;
-
-  const [monitorGltf, mobileGltf, vrGltf] = await Promise.all([
-    modelLoader.loadAsync(`${ASSET_BASE_URL}/assets/models/monitor.glb`)
-      .then(gltf => { updateProgress(); return gltf; }),
-    modelLoader.loadAsync(`${ASSET_BASE_URL}/assets/models/mobile.glb`)
-      .then(gltf => { updateProgress(); return gltf; }),
-    modelLoader.loadAsync(`${ASSET_BASE_URL}/assets/models/vr-glass.glb`)
-      .then(gltf => { updateProgress(); return gltf; }),
-  ]);
+  } catch (error) {
+    return Promise.reject(error);
+  }
+
+  if (index === currentShapeIndex && !morphCompletion) {
+    return Promise.resolve({ shape: shapes[index].id, interrupted: false });
+  }
+  if (index === nextShapeIndex && morphCompletion) {
+    return morphCompletion.promise;
+  }
+
+  // Restart the automatic cycle so it doesn't cut the requested morph short
+  // (the scroll trigger already calls this while it's being created)
+  morphTrigger?.reset();
+  startMorph(index, transition, source);
+  return morphCompletion.promise;
+}
+
+// Load a timeline (see timeline.js), given as an object or a URL relative to
+// the asset base, replacing the current one. Resolves with its player:
+// play(), pause(), seek(seconds), setRate(rate), and time, duration, playing.
+export async function loadTimeline(source, { autoplay = true } = {}) {
+  if (!particleBuffer) {
+    throw new Error('The particle simulation has not started yet');
+  }
+
+  const data = typeof source === 'string'
+    ? parseJSON(await fetchBuffer(new URL(source, config.assetBase).href, undefined, { ...config.loading, cache: null }))
+    : source;
+  return startTimeline(data, autoplay);
+}
+
+function startTimeline(data, autoplay) {
+  const parsed = parseTimeline(data);
+  const unknownCue = parsed.cues.find(cue => (
+    typeof cue.shape === 'number' ? !shapes[cue.shape] : !shapes.some(shape => shape.id === cue.shape)
+  ));
+  if (unknownCue) {
+    throw new Error(`Timeline refers to unknown shape "${unknownCue.shape}"`);
+  }
 
-  const monitorContainer = new THREE.Group();
-  const mobileContainer = new THREE.Group();
-  const vrContainer = new THREE.Group();
+  resetTimelineValues();
+  timeline = createTimelinePlayer(parsed, {
+    // Shapes that haven't loaded (or failed) are skipped
+    onShape: (shape, morphOptions) => requestMorph(shape, morphOptions, 'timeline').catch(() => {}),
+  });
+  if (autoplay) timeline.play();
+  return timeline;
+}
+
+// The uniforms a timeline can animate, by property name
+function timelineUniforms() {
+  return {
+    turbulenceStrength: turbulenceStrengthUniform,
+    turbulenceFreq: turbulenceFreqUniform,
+    wave2Strength: wave2StrengthUniform,
+    wave2Freq: wave2FreqUniform,
+    vortexStrength: vortexStrengthUniform,
+  };
+}
+
+function applyTimelineValues(values) {
+  Object.entries(timelineUniforms()).forEach(([property, node]) => {
+    if (values[property] !== undefined) node.value = values[property];
+  });
+  if (values.camera) camera.position.fromArray(values.camera);
+  timelineGlitch = values.glitchIntensity ?? 0;
+}
+
+// Undo a previous timeline's overrides before the next one takes over
+function resetTimelineValues() {
+  Object.entries(timelineUniforms()).forEach(([property, node]) => {
+    node.value = params[property];
+  });
+  camera.position.copy(defaultCameraPosition);
+  timelineGlitch = 0;
+}
+
+// Fetch the `timeline` option at startup. Failures are reported, and the
+// simulation runs without it.
+async function loadConfiguredTimeline() {
+  if (typeof config.timeline !== 'string') return config.timeline ?? null;
+
+  const url = new URL(config.timeline, config.assetBase).href;
+  try {
+    return await loadAsset('timeline', 'timeline', url, parseJSON, { cache: null });
+  } catch (error) {
+    reportLoadError(error, 'skip');
+    return null;
+  }
+}
 
-  monitorContainer.position.set(0.5, 0.5, 0.5);
-  mobileContainer.position.set(0.5, 0.5, 0.5);
-  vrContainer.position.set(0.5, 0.5, 0.5);
+// Transform defaults by where a shape's positions come from
+const TRANSFORM_DEFAULTS = {
+  source: { axes: 'z-up', fit: 'shared' },
+  model: { axes: 'y-up', fit: 'none' },
+  normalized: { axes: 'y-up', fit: 'none' },
+};
 
-  monitorModel = monitorGltf.scene;
-  mobileModel = mobileGltf.scene;
-  vrModel = vrGltf.scene;
+// Simulation-space positions in model coordinates: centered, and turned half
+// a turn about Y like the model container (see shapeTargetPosition())
+function fromSimulationSpace(positions) {
+  return positions.map((value, i) => (i % 3 === 1 ? value - 0.5 : 0.5 - value));
+}
 
-  monitorModel.position.set(0, 0, 0);
-  mobileModel.position.set(0, 0, 0);
-  vrModel.position.set(0, 0, 0);
+function shapePlacement(shape) {
+  const bounds = shape.transform.fit === 'shared' ? sharedBounds : measureBounds([shape.positions]);
+  const baseScale = shape.space === 'normalized' ? 1 : shape.options.modelScale ?? params.modelScale;
+  return fitPlacement(shape.transform, bounds, baseScale);
+}
+
+// Placed like the model, then turned half a turn about Y (the container's
+// rotation leads the particle mesh's by PI)
+function shapeTargetPosition(shape, i) {
+  const { scale, position } = shape.placement;
+  return {
+    x: 0.5 - (shape.positions[i * 3] * scale + position.x),
+    y: 0.5 + (shape.positions[i * 3 + 1] * scale + position.y),
+    z: 0.5 - (shape.positions[i * 3 + 2] * scale + position.z),
+  };
+}
 
-  monitorModel.scale.setScalar(params.modelScale);
-  mobileModel.scale.setScalar(params.modelScale);
-  vrModel.scale.setScalar(params.modelScale);
+// Give the model the transform its particle targets were placed with
+function placeModel(shape) {
+  if (!shape.model || !shape.placement) return;
 
-  [monitorModel, mobileModel, vrModel].forEach((model, modelIndex) => {
-    model.traverse((child) => {
-      if (child.isMesh) {
-        child.castShadow = true;
-        child.receiveShadow = true;
+  shape.model.scale.setScalar(shape.placement.scale);
+  shape.model.quaternion.copy(shape.transform.quaternion);
+  shape.model.position.copy(shape.placement.position);
+}
+
+// The environment map only adds reflections, so a failure never aborts
+// loading. Models that arrived first pick it up when it lands.
+async function loadEnvironment() {
+  try {
+    environmentMap = await loadAsset('environment', 'environment', assetUrl('environment'), async (buffer) => {
+      // HDRLoader only builds its DataTexture through load(), so hand it the fetched bytes
+      const blobUrl = URL.createObjectURL(new Blob([buffer]));
+      return new HDRLoader().loadAsync(blobUrl).finally(() => URL.revokeObjectURL(blobUrl));
+    });
+    environmentMap.mapping = THREE.EquirectangularReflectionMapping;
+
+    shapes.forEach((shape) => {
+      shape.model?.traverse((child) => {
+        if (child.isMesh && child.material) {
+          child.material.envMap = environmentMap;
+          child.material.needsUpdate = true;
+        }
+      });
+    });
+  } catch (error) {
+    reportLoadError(error, 'skip');
+  }
+}
+
+function createModelContainer(model, modelIndex) {
+  const container = new THREE.Group();
+  // Glitch pattern values above the threshold are drawn: -1 shows the whole
+  // model, 1 hides it (see updateModels())
+  const threshold = uniform(1.0);
+  shapes[modelIndex].modelThresholdUniform = threshold;
+  container.position.set(0.5, 0.5, 0.5);
+
+  model.traverse((child) => {
+    if (child.isMesh) {
+      child.castShadow = true;
+      child.receiveShadow = true;
+      
+      if (child.material) {
+        child.material.transparent = true;
+        child.material.envMap = environmentMap;
+        child.material.envMapIntensity = 1.0;
         
-        if (child.material) {
-          child.material.transparent = true;
-          child.material.envMap = envMap;
-          child.material.envMapIntensity = 1.0;
+        child.material.opacityNode = Fn(() => {
+          const worldY = positionWorld.y;
+          const t = timeUniform;
           
-          const materialModelIndexUniform = uniform(modelIndex, 'int');
+          const scan1 = worldY.mul(80.0).add(t.mul(25.0)).sin();
+          const scan2 = worldY.mul(120.0).add(t.mul(-40.0)).sin();
+          const scan3 = worldY.mul(200.0).add(t.mul(60.0)).sin();
+          const scan4 = worldY.mul(150.0).add(t.mul(-35.0)).sin();
           
-          child.material.opacityNode = Fn(() => {
-            const worldY = positionWorld.y;
-            const t = timeUniform;
-            
-            const scan1 = worldY.mul(80.0).add(t.mul(25.0)).sin();
-            const scan2 = worldY.mul(120.0).add(t.mul(-40.0)).sin();
-            const scan3 = worldY.mul(200.0).add(t.mul(60.0)).sin();
-            const scan4 = worldY.mul(150.0).add(t.mul(-35.0)).sin();
-            
-            const jitter = worldY.mul(300.0).add(t.mul(100.0)).sin();
-            
-            const glitchPattern = scan1.mul(0.4)
-              .add(scan2.mul(0.25))
-              .add(scan3.mul(0.15))
-              .add(scan4.mul(0.15))
-              .add(jitter.mul(0.2));
-            
-            const threshold = float(2.0).toVar();
-            
-            If(materialModelIndexUniform.equal(currentShapeIndexUniform), () => {
-              threshold.assign(currentModelThresholdUniform.mul(2.0).sub(1.0));
-            })
-            .ElseIf(materialModelIndexUniform.equal(nextShapeIndexUniform), () => {
-              threshold.assign(nextModelThresholdUniform.mul(2.0).sub(1.0));
-            });
-            
-            const bandVisible = step(threshold, glitchPattern);
-            
-            return bandVisible;
-          })();
+          const jitter = worldY.mul(300.0).add(t.mul(100.0)).sin();
           
-          child.material.needsUpdate = true;
-        }
+          const glitchPattern = scan1.mul(0.4)
+            .add(scan2.mul(0.25))
+            .add(scan3.mul(0.15))
+            .add(scan4.mul(0.15))
+            .add(jitter.mul(0.2));
+          
+          const bandVisible = step(threshold, glitchPattern);
+          
+          return bandVisible;
+        })();
+        
+        child.material.needsUpdate = true;
       }
-    });
+    }
   });
 
-  monitorContainer.add(monitorModel);
-  mobileContainer.add(mobileModel);
-  vrContainer.add(vrModel);
-
-  monitorContainer.visible = true;
-  mobileContainer.visible = false;
-  vrContainer.visible = false;
-
-  scene.add(monitorContainer);
-  scene.add(mobileContainer);
-  scene.add(vrContainer);
+  container.add(model);
+  container.visible = false;
+  scene.add(container);
 
-  window.monitorContainer = monitorContainer;
-  window.mobileContainer = mobileContainer;
-  window.vrContainer = vrContainer;
-
-  [monitorContainer, mobileContainer, vrContainer].forEach(container => {
-    container.layers.set(1);
-    container.traverse((child) => {
-      child.layers.set(1);
-    });
+  container.layers.set(1);
+  container.traverse((child) => {
+    child.layers.set(1);
   });
+
+  return container;
 }
 
 let renderer, scene, camera;
@@ -290,6 +1078,11 @@ const gridSize1d = 64;
 const gridSize = new THREE.Vector3(gridSize1d, gridSize1d, gridSize1d);
 const fixedPointMultiplier = 1e7;
 
+// Every shape is reconciled to this many particles
+function particleCount() {
+  return Math.min(maxParticles, params.particleCount);
+}
+
 let particleCountUniform,
   stiffnessUniform,
   restDensityUniform,
@@ -300,13 +1093,19 @@ let particleCountUniform,
   timeUniform,
   turbulenceStrengthUniform,
   turbulenceFreqUniform;
-let particleBuffer, cellBuffer, cellBufferFloat;
-let clearGridKernel, p2g1Kernel, p2g2Kernel, updateGridKernel, g2pKernel;
+let particleBuffer, targetBuffer, colorBuffer, currentSlotBuffer, nextSlotBuffer, easingBuffer;
+let captureBuffer, captureColorBuffer, cellBuffer, cellBufferFloat;
+let clearGridKernel, p2g1Kernel, p2g2Kernel, updateGridKernel, g2pKernel, captureMorphKernel;
 let particleMesh;
 const mouseCoord = new THREE.Vector3();
 const prevMouseCoord = new THREE.Vector3();
 let mouseRayOriginUniform, mouseRayDirectionUniform, mouseForceUniform;
-let vortexStrengthUniform, wave2StrengthUniform, wave3StrengthUniform;
+let vortexStrengthUniform, wave2StrengthUniform;
+let morphFromCaptureUniform;
+let styleTypeUniform, styleRadiusUniform, styleHeightUniform, styleSpinUniform, styleGatherUniform, styleHoldUniform;
+let morphTimeUniform, sweepTypeUniform, sweepSpreadUniform, sweepVectorUniform, sweepScaleUniform;
+let currentTargetOffsetUniform, nextTargetOffsetUniform;
+let currentVisibleCountUniform, nextVisibleCountUniform;
 
 if (WebGPU.isAvailable() === false) {
   document.body.appendChild(WebGPU.getErrorMessage());
@@ -319,18 +1118,44 @@ const params = {
   turbulenceStrength: 1,
   turbulenceFreq: 40,
   wave2Strength: 35,
-  wave3Strength: 20,
-  vortexStrength: 8,
+  vortexStrength: 0, // off unless a timeline animates it
   wave2Freq: 0.75,
   viscosity: 0.5,
   fluidStrength: 1.0,
   modelScale: 0.4,
+  rotationSpeed: 1, // radians per second
 };
 
-init();
+if ((window.ParticleSimulationConfig || {}).autoInit !== false) {
+  // Failures are already reported through particleLoadError
+  init().catch(() => {});
+}
 
-async function init() {
-  await loadParticlePositions();
+// The container's data-particle-state ('loading', 'ready' or 'error') lets the
+// page style a fallback when the simulation can't start
+export async function init(options = {}) {
+  const container = getContainer();
+  containerElement = container;
+  container.dataset.particleState = 'loading';
+
+  // Invalid options are reported like any other startup failure
+  try {
+    config = resolveConfig(options, container);
+    loadProgress = createLoadProgress();
+    assetCache = config.cache ? await openAssetCache(config.cache.version) : null;
+    await start(container);
+    container.dataset.particleState = 'ready';
+  } catch (error) {
+    container.dataset.particleState = 'error';
+    reportLoadError(error, null);
+    throw error;
+  }
+}
+
+async function start(container) {
+  await loadShapeManifest();
+  registerAssets();
+  const timelineLoaded = loadConfiguredTimeline();
 
   renderer = new THREE.WebGPURenderer({ 
     antialias: true,
@@ -343,14 +1168,6 @@ async function init() {
   renderer.shadowMap.enabled = true;
   renderer.setClearColor(0x000000, 0);
   
-  // Find or create canvas container
-  let container = document.getElementById('particle-canvas-container');
-  if (!container) {
-    container = document.createElement('div');
-    container.id = 'particle-canvas-container';
-    container.style.cssText = 'position: absolute; top: 0; left: 0; width: 100%; height: 100%; pointer-events: none;';
-    document.body.appendChild(container);
-  }
   container.appendChild(renderer.domElement);
 
   const renderTarget = new THREE.RenderTarget(
@@ -427,14 +1244,13 @@ async function init() {
   }
 
   camera.rotation.set(0, Math.PI, 0);
+  defaultCameraPosition = camera.position.clone();
   camera.layers.enable(0);
   camera.layers.enable(1);
 
   scene = new THREE.Scene();
   // NO background color - transparent
 
-  await loadModels();
-
   const light = new THREE.DirectionalLight(0xffffff, 2);
   light.position.set(-10, 4, -4);
   light.target.position.set(0.5, 0.5, 0.5);
@@ -497,14 +1313,119 @@ async function init() {
   modelAmbient.layers.set(1);
   scene.add(modelAmbient);
 
+  // Start as soon as one shape is ready; the rest keep streaming in
+  const shapesLoaded = loadShapes();
+  currentShapeIndex = await waitForStartShape(shapesLoaded);
+  nextShapeIndex = currentShapeIndex;
+
   setupParticles();
+  applyTransition(config.morph);
+  await renderer.compileAsync(scene, camera);
+  loadProgress.complete('shaders');
 
   window.addEventListener("resize", onWindowResize);
 
+  morphDetail = { from: null, to: shapes[currentShapeIndex].id, duration: 0, source: 'start' };
+  emit('shapechange', morphDetail);
+  flushEvents();
+
+  const { type: triggerType } = config.trigger;
+  morphTrigger = createMorphTrigger(config.trigger, {
+    container,
+    shapeCount: shapes.length,
+    advance: () => advanceMorph(triggerType),
+    morphTo: (shape, options = {}) => requestMorph(shape, options, triggerType),
+  });
+
+  const timelineData = await timelineLoaded;
+  if (timelineData) {
+    try {
+      startTimeline(timelineData, true);
+    } catch (error) {
+      reportLoadError(error, 'skip');
+    }
+  }
+
   renderer.setAnimationLoop(render);
-  
-  // Dispatch loading complete event
-  window.dispatchEvent(new CustomEvent('particleLoadComplete'));
+  window.dispatchEvent(new CustomEvent('particleSimulationStart'));
+
+  shapesLoaded.then(
+    () => window.dispatchEvent(new CustomEvent('particleLoadComplete')),
+    (error) => reportLoadError(error, null)
+  );
+}
+
+function sharesBounds(shape) {
+  return shape.status === 'ready' && shape.transform.fit === 'shared';
+}
+
+// Bounds shared by all ready 'shared' shapes. Returns whether they changed.
+function updateSharedBounds() {
+  const bounds = measureBounds(shapes.filter(sharesBounds).map(shape => shape.positions));
+  const changed = !(bounds && sharedBounds?.equals(bounds));
+  sharedBounds = bounds;
+  return changed;
+}
+
+// Shapes have at most particleCount() points (see subsampleIndices); the
+// remaining particles get targets from the shape's extraParticles policy
+function writeShapeTargets(shape) {
+  const targetArray = shapeTargetArray(shape);
+  const pointCount = shape.positions.length / 3;
+  shape.placement = shapePlacement(shape);
+  placeModel(shape);
+
+  for (let i = 0; i < pointCount; i++) {
+    const norm = shapeTargetPosition(shape, i);
+
+    targetArray[i * 3] = norm.x;
+    targetArray[i * 3 + 1] = norm.y;
+    targetArray[i * 3 + 2] = norm.z;
+  }
+
+  const colorArray = shapeColorArray(shape);
+  if (shape.colors) {
+    colorArray.set(shape.colors);
+  } else {
+    for (let i = 0; i < particleCount(); i++) {
+      colorArray.set(DEFAULT_PARTICLE_COLOR, i * 3);
+    }
+  }
+  colorBuffer.value.needsUpdate = true;
+
+  fillExtraTargets(
+    targetArray,
+    pointCount,
+    particleCount(),
+    shape.extraParticles,
+    createRandom(shape.seed),
+    shape.colors && colorArray
+  );
+  shape.visibleCount = shape.extraParticles === 'hide' ? pointCount : particleCount();
+  shape.targetsVersion++;
+  targetBuffer.value.needsUpdate = true;
+  scheduleCorrespondences();
+}
+
+// This shape's slice of the shared target buffer
+function shapeTargetArray(shape) {
+  return targetBuffer.value.array.subarray(shape.targetOffset * 3, (shape.targetOffset + particleCount()) * 3);
+}
+
+// This shape's slice of the shared color buffer, laid out like its targets
+function shapeColorArray(shape) {
+  return colorBuffer.value.array.subarray(shape.targetOffset * 3, (shape.targetOffset + particleCount()) * 3);
+}
+
+// For shapes that become ready after the simulation started. A new shape
+// with the 'shared' fit can widen the shared bounds, which moves them all;
+// that only happens when the start shape doesn't use the shared fit (see
+// startShapeIndex()).
+function updateShapeTargets(shape) {
+  const boundsChanged = sharesBounds(shape) && updateSharedBounds();
+  const staleShapes = boundsChanged ? shapes.filter(sharesBounds) : [shape];
+
+  staleShapes.forEach(writeShapeTargets);
 }
 
 function setupBuffers() {
@@ -517,39 +1438,38 @@ function setupBuffers() {
   const particleStructSize = 18;
   const particleArray = new Float32Array(maxParticles * particleStructSize);
 
-  const sourcePositions = cubePositions;
-  const particlesToUse = Math.min(maxParticles, sourcePositions.length);
-
-  globalMinX = Infinity;
-  globalMinY = Infinity;
-  globalMinZ = Infinity;
-  globalMaxX = -Infinity;
-  globalMaxY = -Infinity;
-  globalMaxZ = -Infinity;
-
-  [cubePositions, conePositions, monkeyPositions].forEach((shapePositions) => {
-    for (let i = 0; i < Math.min(maxParticles, shapePositions.length); i++) {
-      const pos = shapePositions[i];
-      globalMinX = Math.min(globalMinX, pos[0]);
-      globalMinY = Math.min(globalMinY, pos[1]);
-      globalMinZ = Math.min(globalMinZ, pos[2]);
-      globalMaxX = Math.max(globalMaxX, pos[0]);
-      globalMaxY = Math.max(globalMaxY, pos[1]);
-      globalMaxZ = Math.max(globalMaxZ, pos[2]);
-    }
+  // The targets of all shapes live back to back in one buffer, each shape
+  // taking particleCount() entries. Shapes that are still loading fill their
+  // slice in when they arrive.
+  shapes.forEach((shape, index) => {
+    shape.targetOffset = index * particleCount();
   });
+  targetBuffer = instancedArray(new Float32Array(shapes.length * particleCount() * 3), "vec3");
+  colorBuffer = instancedArray(new Float32Array(shapes.length * particleCount() * 3), "vec3");
+
+  // Which target of the current and next shape each particle heads for; the
+  // identity unless correspondence reorders them
+  currentSlotBuffer = instancedArray(Uint32Array.from({ length: particleCount() }, (_, i) => i), "uint");
+  nextSlotBuffer = instancedArray(Uint32Array.from({ length: particleCount() }, (_, i) => i), "uint");
+
+  // Filled in by applyTransition()
+  easingBuffer = instancedArray(new Float32Array(EASING_SAMPLES), "float");
 
-  const rangeX = globalMaxX - globalMinX;
-  const rangeY = globalMaxY - globalMinY;
-  const rangeZ = globalMaxZ - globalMinZ;
-  globalMaxRange = Math.max(rangeX, rangeY, rangeZ);
+  // Target (xyz) and visibility (w) of each particle when a morph was
+  // interrupted, which the next morph starts from (see interruptMorph())
+  captureBuffer = instancedArray(particleCount(), "vec4");
+  captureColorBuffer = instancedArray(particleCount(), "vec3");
 
-  for (let i = 0; i < particlesToUse; i++) {
-    const pos = sourcePositions[i];
+  updateSharedBounds();
+  shapes.filter(shape => shape.status === 'ready').forEach(writeShapeTargets);
 
-    const x = 0.5 - ((pos[0] - (globalMinX + globalMaxX) / 2) / globalMaxRange) * 1;
-    const z = 0.5 + ((pos[1] - (globalMinY + globalMaxY) / 2) / globalMaxRange) * 1;
-    const y = 0.5 + ((pos[2] - (globalMinZ + globalMaxZ) / 2) / globalMaxRange) * 1;
+  // Particles start on their targets in the first shape
+  const startTargets = shapeTargetArray(shapes[currentShapeIndex]);
+
+  for (let i = 0; i < particleCount(); i++) {
+    const x = startTargets[i * 3];
+    const y = startTargets[i * 3 + 1];
+    const z = startTargets[i * 3 + 2];
 
     particleArray[i * particleStructSize] = x;
     particleArray[i * particleStructSize + 1] = y;
@@ -562,36 +1482,6 @@ function setupBuffers() {
 
   particleBuffer = instancedArray(particleArray, particleStruct);
 
-  const shapePositionStruct = struct({
-    position: { type: "vec3" },
-  });
-
-  const cubePositionArray = new Float32Array(maxParticles * 3);
-  const conePositionArray = new Float32Array(maxParticles * 3);
-  const monkeyPositionArray = new Float32Array(maxParticles * 3);
-
-  for (let i = 0; i < Math.min(maxParticles, cubePositions.length); i++) {
-    const cubeNorm = normalizePosition(cubePositions[i]);
-    const coneNorm = normalizePosition(conePositions[i]);
-    const monkeyNorm = normalizePosition(monkeyPositions[i]);
-
-    cubePositionArray[i * 3] = cubeNorm.x;
-    cubePositionArray[i * 3 + 1] = cubeNorm.y;
-    cubePositionArray[i * 3 + 2] = cubeNorm.z;
-
-    conePositionArray[i * 3] = coneNorm.x;
-    conePositionArray[i * 3 + 1] = coneNorm.y;
-    conePositionArray[i * 3 + 2] = coneNorm.z;
-
-    monkeyPositionArray[i * 3] = monkeyNorm.x;
-    monkeyPositionArray[i * 3 + 1] = monkeyNorm.y;
-    monkeyPositionArray[i * 3 + 2] = monkeyNorm.z;
-  }
-
-  window.cubeTargetBuffer = instancedArray(cubePositionArray, "vec3");
-  window.coneTargetBuffer = instancedArray(conePositionArray, "vec3");
-  window.monkeyTargetBuffer = instancedArray(monkeyPositionArray, "vec3");
-
   const cellCount = gridSize.x * gridSize.y * gridSize.z;
 
   const cellStruct = struct({
@@ -620,21 +1510,152 @@ function setupUniforms() {
   turbulenceStrengthUniform = uniform(params.turbulenceStrength);
   turbulenceFreqUniform = uniform(params.turbulenceFreq);
   wave2StrengthUniform = uniform(params.wave2Strength);
-  wave3StrengthUniform = uniform(params.wave3Strength);
   vortexStrengthUniform = uniform(params.vortexStrength);
 
   window.morphProgressUniform = uniform(0.0);
-  window.currentShapeIndexUniform = uniform(0, "int");
-  window.nextShapeIndexUniform = uniform(1, "int");
+  morphFromCaptureUniform = uniform(0, "uint");
+  // Linear progress and the sweep that delays each particle's share of it
+  morphTimeUniform = uniform(0.0);
+  sweepTypeUniform = uniform(0, "uint");
+  sweepSpreadUniform = uniform(0.0);
+  sweepVectorUniform = uniform(new THREE.Vector3(0, 1, 0)); // direction or origin
+  sweepScaleUniform = uniform(1.0); // inverse radius or noise scale
+  // Intermediate formation of routed transition styles
+  styleTypeUniform = uniform(0, "uint");
+  styleRadiusUniform = uniform(0.0);
+  styleHeightUniform = uniform(0.0);
+  styleSpinUniform = uniform(0.0);
+  styleGatherUniform = uniform(0.5);
+  styleHoldUniform = uniform(0.0);
+  currentTargetOffsetUniform = uniform(0, "uint");
+  nextTargetOffsetUniform = uniform(0, "uint");
+  currentVisibleCountUniform = uniform(0, "uint");
+  nextVisibleCountUniform = uniform(0, "uint");
   window.wave2FreqUniform = uniform(params.wave2Freq);
   window.fluidStrengthUniform = uniform(params.fluidStrength);
 
-  window.currentModelThresholdUniform = uniform(-1.0);
-  window.nextModelThresholdUniform = uniform(-1.0);
-
   window.glitchIntensity = uniform(0.0);
 }
 
+// This particle's target in the shape starting at the given offset uniform
+function shapeTarget(targetOffsetUniform, slotBuffer) {
+  return targetBuffer.element(targetOffsetUniform.add(slotBuffer.element(instanceIndex)));
+}
+
+// This particle's eased progress through the morph, which starts after a
+// delay given by the sweep and its target in the next shape
+function particleMorphProgress() {
+  const target = shapeTarget(nextTargetOffsetUniform, nextSlotBuffer);
+  const delay = float(0).toVar();
+
+  If(sweepTypeUniform.equal(SWEEP_TYPES.indexOf('direction')), () => {
+    delay.assign(target.sub(0.5).dot(sweepVectorUniform).add(0.5));
+  }).ElseIf(sweepTypeUniform.equal(SWEEP_TYPES.indexOf('radial')), () => {
+    delay.assign(target.sub(sweepVectorUniform).length().mul(sweepScaleUniform));
+  }).ElseIf(sweepTypeUniform.equal(SWEEP_TYPES.indexOf('noise')), () => {
+    delay.assign(mx_noise_float(target.mul(sweepScaleUniform)).mul(0.5).add(0.5));
+  }).ElseIf(sweepTypeUniform.equal(SWEEP_TYPES.indexOf('index')), () => {
+    delay.assign(float(instanceIndex).div(float(particleCountUniform)));
+  });
+
+  const progress = morphTimeUniform
+    .sub(delay.clamp(0.0, 1.0).mul(sweepSpreadUniform))
+    .div(float(1.0).sub(sweepSpreadUniform))
+    .clamp(0.0, 1.0);
+
+  // Interpolate the sampled easing
+  const position = progress.mul(EASING_SAMPLES - 1);
+  const sample = uint(position.floor()).min(EASING_SAMPLES - 2);
+  return mix(easingBuffer.element(sample), easingBuffer.element(sample.add(1)), position.sub(float(sample)));
+}
+
+// Where this particle sits in the transition style's intermediate formation,
+// from per-particle random values
+function styleFormation() {
+  const center = vec3(0.5, 0.5, 0.5);
+  const random1 = hash(instanceIndex);
+  const random2 = hash(instanceIndex.add(particleCountUniform));
+  const random3 = hash(instanceIndex.add(particleCountUniform.mul(2)));
+  const formation = center.toVar();
+
+  If(styleTypeUniform.equal(MORPH_STYLES.indexOf('vortex')), () => {
+    const angle = random1.mul(Math.PI * 2).add(timeUniform.mul(styleSpinUniform));
+    const radius = random2.sqrt().mul(styleRadiusUniform);
+    formation.assign(center.add(vec3(
+      angle.cos().mul(radius),
+      random3.sub(0.5).mul(styleHeightUniform),
+      angle.sin().mul(radius)
+    )));
+  }).Else(() => {
+    // Uniformly through a sphere: 'scatter' and 'collapse' differ in radius
+    const z = random1.mul(2.0).sub(1.0);
+    const angle = random2.mul(Math.PI * 2);
+    const ring = float(1.0).sub(z.mul(z)).sqrt();
+    const radius = random3.pow(1 / 3).mul(styleRadiusUniform);
+    formation.assign(center.add(vec3(angle.cos().mul(ring), angle.sin().mul(ring), z).mul(radius)));
+  });
+
+  return formation;
+}
+
+// Where this particle's morph starts: its target in the current shape, or
+// where it was heading when the previous morph was interrupted
+function morphStartTarget() {
+  return morphFromCaptureUniform.equal(1).select(
+    captureBuffer.element(instanceIndex).xyz,
+    shapeTarget(currentTargetOffsetUniform, currentSlotBuffer)
+  );
+}
+
+// This particle's color in the shape starting at the given offset uniform
+function shapeColor(targetOffsetUniform, slotBuffer) {
+  return colorBuffer.element(targetOffsetUniform.add(slotBuffer.element(instanceIndex)));
+}
+
+// This particle's color, blended between the shapes like its target
+function particleColor() {
+  const startColor = morphFromCaptureUniform.equal(1).select(
+    captureColorBuffer.element(instanceIndex),
+    shapeColor(currentTargetOffsetUniform, currentSlotBuffer)
+  );
+  return mix(startColor, shapeColor(nextTargetOffsetUniform, nextSlotBuffer), particleMorphProgress().clamp(0.0, 1.0));
+}
+
+// Particles on targets beyond a shape's visible count (extraParticles 'hide')
+// shrink away while morphing out of it and grow back when morphing into a
+// shape that uses them
+function particleVisibility() {
+  const visibleCurrent = morphFromCaptureUniform.equal(1).select(
+    captureBuffer.element(instanceIndex).w,
+    currentSlotBuffer.element(instanceIndex).lessThan(currentVisibleCountUniform).select(float(1), float(0))
+  );
+  const visibleNext = nextSlotBuffer.element(instanceIndex).lessThan(nextVisibleCountUniform).select(float(1), float(0));
+  return mix(visibleCurrent, visibleNext, particleMorphProgress());
+}
+
+// This particle's target while morphing: straight between the shapes, or
+// through the style's formation
+function morphTargetPosition() {
+  const currentTarget = morphStartTarget();
+  const nextTarget = shapeTarget(nextTargetOffsetUniform, nextSlotBuffer);
+  const progress = particleMorphProgress();
+  const target = mix(currentTarget, nextTarget, progress).toVar();
+
+  If(styleTypeUniform.notEqual(MORPH_STYLES.indexOf('direct')), () => {
+    const formation = styleFormation();
+    const reformStart = styleGatherUniform.add(styleHoldUniform);
+    const gathered = progress.div(styleGatherUniform).clamp(0.0, 1.0);
+    const reformed = progress.sub(reformStart).div(float(1.0).sub(reformStart)).clamp(0.0, 1.0);
+
+    target.assign(progress.lessThan(reformStart).select(
+      mix(currentTarget, formation, gathered),
+      mix(formation, nextTarget, reformed)
+    ));
+  });
+
+  return target;
+}
+
 function setupComputeShaders() {
   const encodeFixedPoint = (f32) => {
     return int(f32.mul(fixedPointMultiplier));
@@ -911,36 +1932,7 @@ function setupComputeShaders() {
     particleVelocity.addAssign(gravityUniform.mul(dtUniform));
     particleVelocity.divAssign(gridSizeUniform);
 
-    const cubeTarget = window.cubeTargetBuffer.element(instanceIndex);
-    const coneTarget = window.coneTargetBuffer.element(instanceIndex);
-    const monkeyTarget = window.monkeyTargetBuffer.element(instanceIndex);
-
-    const currentTarget = vec3(0).toVar();
-    const nextTarget = vec3(0).toVar();
-
-    If(currentShapeIndexUniform.equal(int(0)), () => {
-      currentTarget.assign(cubeTarget);
-    })
-      .ElseIf(currentShapeIndexUniform.equal(int(1)), () => {
-        currentTarget.assign(coneTarget);
-      })
-      .Else(() => {
-        currentTarget.assign(monkeyTarget);
-      });
-
-    If(nextShapeIndexUniform.equal(int(0)), () => {
-      nextTarget.assign(cubeTarget);
-    })
-      .ElseIf(nextShapeIndexUniform.equal(int(1)), () => {
-        nextTarget.assign(coneTarget);
-      })
-      .Else(() => {
-        nextTarget.assign(monkeyTarget);
-      });
-
-    const targetPos = currentTarget.add(
-      nextTarget.sub(currentTarget).mul(morphProgressUniform)
-    );
+    const targetPos = morphTargetPosition();
 
     const toTarget = targetPos.sub(particlePosition);
     const springStrength = float(200.0);
@@ -991,6 +1983,11 @@ function setupComputeShaders() {
     const morphTurbulence = float(1.0).sub(morphProgressUniform);
     particleVelocity.addAssign(smokeFlow.mul(dtUniform).mul(morphTurbulence));
 
+    // Swirl about the vertical axis through the center while morphing
+    const fromAxis = vec3(particlePosition.x.sub(0.5), 0, particlePosition.z.sub(0.5));
+    const swirl = cross(vec3(0, 1, 0), fromAxis).mul(vortexStrengthUniform);
+    particleVelocity.addAssign(swirl.mul(dtUniform).mul(morphTurbulence));
+
     const dist = cross(
       mouseRayDirectionUniform,
       particlePosition.sub(mouseRayOriginUniform)
@@ -1015,6 +2012,22 @@ function setupComputeShaders() {
   })()
     .compute(params.particleCount)
     .setName("g2pKernel");
+
+  captureMorphKernel = Fn(() => {
+    If(instanceIndex.greaterThanEqual(particleCountUniform), () => {
+      Return();
+    });
+
+    // These read the capture buffers when interrupting a morph that itself
+    // started from one, so compute them all before writing
+    const target = morphTargetPosition();
+    const visibility = particleVisibility();
+    const color = particleColor();
+    captureBuffer.element(instanceIndex).assign(vec4(target, visibility));
+    captureColorBuffer.element(instanceIndex).assign(color);
+  })()
+    .compute(params.particleCount)
+    .setName("captureMorphKernel");
 }
 
 function setupMesh() {
@@ -1033,7 +2046,10 @@ function setupMesh() {
       .element(instanceIndex)
       .get("position");
     const offset = vec3(-0.5, -0.5, -0.5);
-    return attribute("position").add(particlePosition).add(offset);
+
+    const visibility = particleVisibility();
+
+    return attribute("position").mul(visibility).add(particlePosition).add(offset);
   })();
 
   material.colorNode = Fn(() => {
@@ -1041,41 +2057,12 @@ function setupMesh() {
       .element(instanceIndex)
       .get("position");
 
-    const cubeTarget = window.cubeTargetBuffer.element(instanceIndex);
-    const coneTarget = window.coneTargetBuffer.element(instanceIndex);
-    const monkeyTarget = window.monkeyTargetBuffer.element(instanceIndex);
-
-    const currentTarget = vec3(0).toVar();
-    const nextTarget = vec3(0).toVar();
-
-    If(currentShapeIndexUniform.equal(int(0)), () => {
-      currentTarget.assign(cubeTarget);
-    })
-      .ElseIf(currentShapeIndexUniform.equal(int(1)), () => {
-        currentTarget.assign(coneTarget);
-      })
-      .Else(() => {
-        currentTarget.assign(monkeyTarget);
-      });
-
-    If(nextShapeIndexUniform.equal(int(0)), () => {
-      nextTarget.assign(cubeTarget);
-    })
-      .ElseIf(nextShapeIndexUniform.equal(int(1)), () => {
-        nextTarget.assign(coneTarget);
-      })
-      .Else(() => {
-        nextTarget.assign(monkeyTarget);
-      });
-
-    const targetPos = currentTarget.add(
-      nextTarget.sub(currentTarget).mul(morphProgressUniform)
-    );
+    const targetPos = morphTargetPosition();
 
     const distanceFromTarget = particlePosition.sub(targetPos).length();
     const distanceThreshold = float(0.2);
 
-    const inPlaceColor = vec3(0.627, 0.682, 0.757);
+    const inPlaceColor = particleColor();
     const awayColor = vec3(1.0, 0.831, 0.255);
 
     const isMorphing = morphProgressUniform.lessThan(float(1.0));
@@ -1161,14 +2148,20 @@ async function render() {
   dtUniform.value = deltaTime;
   timeUniform.value = clock.getElapsedTime();
 
-  const rotationThisFrame = deltaTime * 1;
+  const timelineValues = timeline ? timeline.update(deltaTime) : {};
+  if (timeline) applyTimelineValues(timelineValues);
+
+  const rotationThisFrame = deltaTime * (timelineValues.rotationSpeed ?? params.rotationSpeed);
   particleMesh.rotation.y += rotationThisFrame;
 
   updateMorphing(deltaTime, rotationThisFrame);
 
-  morphProgressUniform.value = morphProgress;
-  currentShapeIndexUniform.value = currentShapeIndex;
-  nextShapeIndexUniform.value = nextShapeIndex;
+  morphProgressUniform.value = morphProgress < 1.0 ? morphEasing(morphProgress) : 1.0;
+  morphTimeUniform.value = morphProgress;
+  currentTargetOffsetUniform.value = shapes[currentShapeIndex].targetOffset;
+  nextTargetOffsetUniform.value = shapes[nextShapeIndex].targetOffset;
+  currentVisibleCountUniform.value = shapes[currentShapeIndex].visibleCount;
+  nextVisibleCountUniform.value = shapes[nextShapeIndex].visibleCount;
 
   updateModels();
 
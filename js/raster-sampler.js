@@ -0,0 +1,200 @@
+// Particle targets from 2D artwork: text, SVG and images are drawn into a
+// canvas and points are scattered over its pixels
+//
+// Positions come out in the simulation's normalized 0..1 space, centered, with
+// the artwork's longer side spanning `size`. Text and SVG get a random depth
+// of `depth`; images a relief of that depth. X is mirrored so the artwork
+// reads correctly from the camera.
+
+const TEXT_SIZE = 256; // px, font size to rasterize text at
+const SVG_RESOLUTION = 1024; // px along the SVG's longer side
+const IMAGE_RESOLUTION = 512; // px along an image's longer side
+const ALPHA_THRESHOLD = 128;
+
+function createCanvas(width, height) {
+  return typeof OffscreenCanvas !== 'undefined'
+    ? new OffscreenCanvas(width, height)
+    : Object.assign(document.createElement('canvas'), { width, height });
+}
+
+// Scatter `count` points over the opaque pixels of `imageData`
+export function sampleMask(imageData, { count, random, size = 0.8, depth = 0.05 }) {
+  const { width, height, data } = imageData;
+  const filled = [];
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (data[(y * width + x) * 4 + 3] < ALPHA_THRESHOLD) continue;
+      filled.push(y * width + x);
+      minX = Math.min(minX, x);
+      maxX = Math.max(maxX, x + 1);
+      minY = Math.min(minY, y);
+      maxY = Math.max(maxY, y + 1);
+    }
+  }
+
+  if (filled.length === 0) {
+    throw new Error('Nothing was drawn to sample');
+  }
+
+  const scale = size / Math.max(maxX - minX, maxY - minY);
+  const centerX = (minX + maxX) / 2;
+  const centerY = (minY + maxY) / 2;
+  const positions = new Float32Array(count * 3);
+
+  for (let i = 0; i < count; i++) {
+    const pixel = filled[Math.floor(random() * filled.length)];
+    const x = (pixel % width) + random();
+    const y = Math.floor(pixel / width) + random();
+
+    positions[i * 3] = 0.5 - (x - centerX) * scale;
+    positions[i * 3 + 1] = 0.5 - (y - centerY) * scale;
+    positions[i * 3 + 2] = 0.5 + (random() - 0.5) * depth;
+  }
+
+  return positions;
+}
+
+function luminance(data, pixel) {
+  return (0.2126 * data[pixel * 4] + 0.7152 * data[pixel * 4 + 1] + 0.0722 * data[pixel * 4 + 2]) / 255;
+}
+
+// Scatter `count` points over an image, more densely where `weight` is higher:
+// 'brightness' (luminance times alpha) or 'alpha'. Depth follows the image's
+// luminance, or `depthData`'s if given, with brighter pixels nearer the
+// camera. Returns { positions, colors }, with each point's pixel color (sRGB).
+export function sampleImage(imageData, { count, random, size = 0.8, depth = 0.1, weight = 'brightness', depthData = null }) {
+  const { width, height, data } = imageData;
+  const cumulative = new Float64Array(width * height);
+  let total = 0;
+
+  for (let pixel = 0; pixel < width * height; pixel++) {
+    const alpha = data[pixel * 4 + 3] / 255;
+    total += weight === 'alpha' ? alpha : alpha * luminance(data, pixel);
+    cumulative[pixel] = total;
+  }
+
+  if (total === 0) {
+    throw new Error(`The image has no ${weight === 'alpha' ? 'opaque' : 'bright'} pixels to sample`);
+  }
+
+  const scale = size / Math.max(width, height);
+  const positions = new Float32Array(count * 3);
+  const colors = new Float32Array(count * 3);
+
+  for (let i = 0; i < count; i++) {
+    const pixel = findPixel(cumulative, random() * total);
+    const x = (pixel % width) + random();
+    const y = Math.floor(pixel / width) + random();
+    const relief = luminance(depthData?.data ?? data, pixel);
+
+    positions[i * 3] = 0.5 - (x - width / 2) * scale;
+    positions[i * 3 + 1] = 0.5 - (y - height / 2) * scale;
+    positions[i * 3 + 2] = 0.5 - (relief - 0.5) * depth;
+
+    for (let channel = 0; channel < 3; channel++) {
+      colors[i * 3 + channel] = data[pixel * 4 + channel] / 255;
+    }
+  }
+
+  return { positions, colors };
+}
+
+// Binary search for the first pixel whose cumulative weight reaches `target`
+function findPixel(cumulative, target) {
+  let low = 0;
+  let high = cumulative.length - 1;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (cumulative[mid] < target) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+}
+
+// Decode an image file and draw it at most IMAGE_RESOLUTION px on its longer
+// side, or at the given size (to line a depth map up with its image)
+export async function rasterizeImage(buffer, size = null) {
+  const bitmap = await createImageBitmap(new Blob([buffer]));
+  const fit = Math.min(1, IMAGE_RESOLUTION / Math.max(bitmap.width, bitmap.height));
+  const width = size?.width ?? Math.max(1, Math.round(bitmap.width * fit));
+  const height = size?.height ?? Math.max(1, Math.round(bitmap.height * fit));
+
+  const context = createCanvas(width, height).getContext('2d');
+  context.drawImage(bitmap, 0, 0, width, height);
+  bitmap.close();
+  return context.getImageData(0, 0, width, height);
+}
+
+// Draw text (newlines start new lines) with a CSS font family and weight.
+// Waits for web fonts so the text isn't drawn in a fallback face.
+export async function rasterizeText({ value, font = 'sans-serif', weight = 700, lineHeight = 1.2 }) {
+  const css = `${weight} ${TEXT_SIZE}px ${font}`;
+  if (typeof document !== 'undefined' && document.fonts) {
+    await document.fonts.load(css, value);
+  }
+
+  const lines = String(value).split('\n');
+  const measure = createCanvas(1, 1).getContext('2d');
+  measure.font = css;
+  const width = Math.ceil(Math.max(...lines.map(line => measure.measureText(line).width))) + TEXT_SIZE;
+  const height = Math.ceil(lines.length * TEXT_SIZE * lineHeight) + TEXT_SIZE;
+
+  const canvas = createCanvas(width, height);
+  const context = canvas.getContext('2d');
+  context.font = css;
+  context.textAlign = 'center';
+  context.textBaseline = 'middle';
+  lines.forEach((line, i) => {
+    context.fillText(line, width / 2, TEXT_SIZE / 2 + (i + 0.5) * TEXT_SIZE * lineHeight);
+  });
+
+  return context.getImageData(0, 0, width, height);
+}
+
+// Draw SVG markup. Its viewBox (or width and height) sets the aspect ratio.
+export async function rasterizeSvg(markup) {
+  const svg = new DOMParser().parseFromString(markup, 'image/svg+xml').documentElement;
+  if (svg.nodeName !== 'svg') {
+    throw new Error('Not an SVG document');
+  }
+
+  const viewBox = svg.getAttribute('viewBox')?.split(/[\s,]+/).map(Number);
+  const aspect = viewBox?.length === 4
+    ? viewBox[2] / viewBox[3]
+    : (parseFloat(svg.getAttribute('width')) || 1) / (parseFloat(svg.getAttribute('height')) || 1);
+  const width = Math.round(aspect >= 1 ? SVG_RESOLUTION : SVG_RESOLUTION * aspect);
+  const height = Math.round(aspect >= 1 ? SVG_RESOLUTION / aspect : SVG_RESOLUTION);
+
+  // Explicit dimensions so the image doesn't fall back to 300 x 150
+  svg.setAttribute('width', width);
+  svg.setAttribute('height', height);
+  const url = URL.createObjectURL(new Blob([new XMLSerializer().serializeToString(svg)], { type: 'image/svg+xml' }));
+
+  try {
+    const image = new Image();
+    image.src = url;
+    await image.decode();
+
+    const context = createCanvas(width, height).getContext('2d');
+    context.drawImage(image, 0, 0, width, height);
+    return context.getImageData(0, 0, width, height);
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+// Wrap bare path data in an SVG document. The values are set as attributes,
+// so quotes or markup in them can't change the document.
+export function svgFromPath(path, viewBox) {
+  const svgDocument = new DOMParser().parseFromString(
+    '<svg xmlns="http://www.w3.org/2000/svg"><path/></svg>', 'image/svg+xml'
+  );
+  svgDocument.documentElement.setAttribute('viewBox', viewBox);
+  svgDocument.querySelector('path').setAttribute('d', path);
+  return new XMLSerializer().serializeToString(svgDocument);
+}
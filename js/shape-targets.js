@@ -0,0 +1,94 @@
+// Reconciling shapes with different point counts to the active particle count
+//
+// Shapes with more points than particles are subsampled; shapes with fewer
+// get extra targets according to a policy:
+// 'duplicate' - reuse the shape's own points, slightly jittered
+// 'park'      - points inside the shape, pulled towards its center
+// 'scatter'   - loose cloud around the middle of the simulation volume
+// 'hide'      - duplicate targets, but the particles are not drawn
+// All choices use a seeded RNG so a shape always lands the same way.
+
+export const EXTRA_PARTICLE_POLICIES = ['duplicate', 'park', 'scatter', 'hide'];
+
+const DUPLICATE_JITTER = 0.002; // in normalized simulation units
+const SCATTER_RADIUS = 0.4;
+
+// Seeded partial Fisher-Yates: the indices of a random subset of `count`
+// points, in their original order, or null when all points fit
+export function subsampleIndices(pointCount, count, random) {
+  if (pointCount <= count) return null;
+
+  const indices = Uint32Array.from({ length: pointCount }, (_, i) => i);
+  for (let i = 0; i < count; i++) {
+    const j = i + Math.floor(random() * (pointCount - i));
+    [indices[i], indices[j]] = [indices[j], indices[i]];
+  }
+
+  return indices.subarray(0, count).sort();
+}
+
+// Pick the given points from flat per-point triples (positions or colors)
+export function selectPoints(values, indices) {
+  const subset = new Float32Array(indices.length * 3);
+  indices.forEach((index, i) => {
+    subset.set(values.subarray(index * 3, index * 3 + 3), i * 3);
+  });
+  return subset;
+}
+
+// Fill targets[pointCount..count) in normalized space from the first
+// `pointCount` targets. With `colors`, extra particles also copy the color of
+// the point they were placed from (a random point for 'scatter').
+export function fillExtraTargets(targets, pointCount, count, policy, random, colors = null) {
+  if (pointCount >= count) return;
+
+  if (pointCount === 0 || policy === 'scatter') {
+    scatterTargets(targets, pointCount, count, random);
+    if (colors && pointCount > 0) {
+      for (let i = pointCount; i < count; i++) {
+        copyColor(colors, Math.floor(random() * pointCount), i);
+      }
+    }
+    return;
+  }
+
+  const center = [0, 0, 0];
+  for (let i = 0; i < pointCount * 3; i++) {
+    center[i % 3] += targets[i] / pointCount;
+  }
+
+  for (let i = pointCount; i < count; i++) {
+    const source = Math.floor(random() * pointCount) * 3;
+    // How far along the line from the center to the source point to park
+    const depth = random();
+    if (colors) copyColor(colors, source / 3, i);
+
+    for (let axis = 0; axis < 3; axis++) {
+      const value = targets[source + axis];
+
+      if (policy === 'park') {
+        targets[i * 3 + axis] = center[axis] + (value - center[axis]) * depth;
+      } else {
+        targets[i * 3 + axis] = value + (random() - 0.5) * DUPLICATE_JITTER;
+      }
+    }
+  }
+}
+
+function copyColor(colors, from, to) {
+  colors.copyWithin(to * 3, from * 3, from * 3 + 3);
+}
+
+function scatterTargets(targets, start, count, random) {
+  for (let i = start; i < count; i++) {
+    // Uniformly distributed through the sphere's volume
+    const z = random() * 2 - 1;
+    const theta = random() * Math.PI * 2;
+    const ring = Math.sqrt(1 - z * z);
+    const radius = SCATTER_RADIUS * Math.cbrt(random());
+
+    targets[i * 3] = 0.5 + Math.cos(theta) * ring * radius;
+    targets[i * 3 + 1] = 0.5 + Math.sin(theta) * ring * radius;
+    targets[i * 3 + 2] = 0.5 + z * radius;
+  }
+}
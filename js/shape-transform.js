@@ -0,0 +1,113 @@
+// Per-shape placement of particle targets, which the shape's model follows
+//
+// A shape's points are read in its `axes` convention ('z-up' or 'y-up') and
+// converted to glTF's Y up, turned by `rotation` ([x, y, z] in degrees), then
+// fitted into the simulation volume:
+//
+// 'shared'  - one scale and center for every 'shared' shape, so they keep
+//             their relative sizes (the default for particle files)
+// 'contain' - the shape's own bounds fill the volume
+// 'height'  - the shape is scaled to `height` of the volume and centered
+// 'none'    - points stay where they are, at the shape's modelScale (the
+//             default for sampled models, text, SVG and images)
+//
+// Finally the shape is scaled by `scale` and moved by `offset` ([x, y, z] in
+// volume units, along the model's axes).
+
+import * as THREE from 'three';
+
+export const FIT_MODES = ['shared', 'contain', 'height', 'none'];
+
+// Conversions into glTF's Y-up convention
+const AXES = {
+  'y-up': (x, y, z) => [x, y, z],
+  // The inverse of the bake tool's Y-up to Z-up conversion
+  'z-up': (x, y, z) => [x, z, -y],
+};
+
+function isVector(value) {
+  return Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+}
+
+export function resolveTransform(options = {}, defaults = {}) {
+  const resolved = {
+    axes: 'y-up',
+    fit: 'none',
+    height: 0.5,
+    scale: 1,
+    offset: [0, 0, 0],
+    rotation: [0, 0, 0],
+    ...defaults,
+    ...options,
+  };
+
+  if (!AXES[resolved.axes]) {
+    throw new Error(`Unknown shape axes "${resolved.axes}"`);
+  }
+  if (!FIT_MODES.includes(resolved.fit)) {
+    throw new Error(`Unknown shape fit "${resolved.fit}"`);
+  }
+  if (!(resolved.scale > 0 && resolved.height > 0)) {
+    throw new Error(`Shape scale and height must be positive, got ${resolved.scale} and ${resolved.height}`);
+  }
+  if (!isVector(resolved.offset) || !isVector(resolved.rotation)) {
+    throw new Error('Shape offset and rotation must be [x, y, z] arrays');
+  }
+
+  const euler = new THREE.Euler(...resolved.rotation.map(THREE.MathUtils.degToRad));
+  return { ...resolved, quaternion: new THREE.Quaternion().setFromEuler(euler) };
+}
+
+// Points converted from the transform's axes and rotated
+export function orientPositions(positions, transform) {
+  const convert = AXES[transform.axes];
+  const point = new THREE.Vector3();
+  const oriented = new Float32Array(positions.length);
+
+  for (let i = 0; i < positions.length; i += 3) {
+    point.fromArray(convert(positions[i], positions[i + 1], positions[i + 2])).applyQuaternion(transform.quaternion);
+    point.toArray(oriented, i);
+  }
+
+  return oriented;
+}
+
+// Bounding box of any number of flat position arrays, or null if all are empty
+export function measureBounds(positionArrays) {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+
+  positionArrays.forEach((positions) => {
+    for (let i = 0; i < positions.length; i++) {
+      const axis = i % 3;
+      min[axis] = Math.min(min[axis], positions[i]);
+      max[axis] = Math.max(max[axis], positions[i]);
+    }
+  });
+
+  return min[0] <= max[0] ? new THREE.Box3(new THREE.Vector3(...min), new THREE.Vector3(...max)) : null;
+}
+
+// Where oriented points land: at point * scale + position, relative to the
+// center of the volume. The model is placed the same way. `baseScale` is the
+// scale for the 'none' fit.
+export function fitPlacement(transform, bounds, baseScale) {
+  const center = new THREE.Vector3();
+  let scale = baseScale;
+
+  if (transform.fit !== 'none' && bounds) {
+    const size = bounds.getSize(new THREE.Vector3());
+    const extent = transform.fit === 'height' ? size.y : Math.max(size.x, size.y, size.z);
+    bounds.getCenter(center);
+    // Flat or single-point shapes have nothing to fit
+    if (extent > 0) {
+      scale = (transform.fit === 'height' ? transform.height : 1) / extent;
+    }
+  }
+
+  scale *= transform.scale;
+  return {
+    scale,
+    position: new THREE.Vector3().fromArray(transform.offset).addScaledVector(center, -scale),
+  };
+}
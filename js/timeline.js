@@ -0,0 +1,181 @@
+// Declarative timelines for choreographed sequences
+//
+//   {
+//     "loop": true,
+//     "duration": 12,
+//     "keyframes": [
+//       { "time": 0, "shape": "monitor", "rotationSpeed": 1, "camera": [0.5, 0.5, -6] },
+//       { "time": 4, "shape": "phone", "morph": { "duration": 1.2, "style": "vortex" } },
+//       { "time": 6, "rotationSpeed": 0.2, "wave2Strength": 60, "easing": "ease-in-out" }
+//     ]
+//   }
+//
+// `shape` keyframes start a morph (with optional `morph` options, as for
+// morphTo()) when playback passes them. Every other property is interpolated
+// between the keyframes that set it, eased by the `easing` of the keyframe it
+// is heading for, and holds its first and last values outside them. Times are
+// in seconds; `duration` defaults to the last keyframe.
+
+import { resolveEasing } from './easing.js';
+
+export const TIMELINE_PROPERTIES = [
+  'rotationSpeed', // radians per second
+  'turbulenceStrength',
+  'turbulenceFreq',
+  'wave2Strength',
+  'wave2Freq',
+  'vortexStrength',
+  'glitchIntensity',
+  'camera', // [x, y, z]
+];
+
+const KEYFRAME_KEYS = ['time', 'shape', 'morph', 'easing', ...TIMELINE_PROPERTIES];
+
+// Validate a timeline and split it into shape cues and property tracks
+export function parseTimeline(data) {
+  if (!Array.isArray(data?.keyframes) || data.keyframes.length === 0) {
+    throw new Error('A timeline needs a non-empty "keyframes" array');
+  }
+
+  const keyframes = data.keyframes.map((keyframe) => {
+    if (!(keyframe.time >= 0)) {
+      throw new Error(`Timeline keyframes need a "time" of at least 0: ${JSON.stringify(keyframe)}`);
+    }
+    const unknown = Object.keys(keyframe).find(key => !KEYFRAME_KEYS.includes(key));
+    if (unknown) {
+      throw new Error(`Unknown timeline property "${unknown}"`);
+    }
+    return { ...keyframe, easing: resolveEasing(keyframe.easing ?? 'linear') };
+  }).sort((a, b) => a.time - b.time);
+
+  const duration = data.duration ?? keyframes[keyframes.length - 1].time;
+  if (!(duration > 0)) {
+    throw new Error('A timeline needs a positive "duration" or keyframes after time 0');
+  }
+
+  // A cue at the end of a loop would fire in the same frame as the next lap's
+  // first cue and never be seen
+  const cues = keyframes.filter(keyframe => keyframe.shape !== undefined);
+  if (data.loop && cues.some(cue => cue.time >= duration)) {
+    throw new Error(`A looping timeline needs a "duration" after its last shape keyframe (${duration}s)`);
+  }
+
+  const tracks = {};
+  TIMELINE_PROPERTIES.forEach((property) => {
+    const track = keyframes.filter(keyframe => keyframe[property] !== undefined);
+    if (track.length > 0) tracks[property] = track;
+  });
+
+  return {
+    duration,
+    loop: data.loop ?? false,
+    cues,
+    tracks,
+  };
+}
+
+function interpolate(a, b, t) {
+  return Array.isArray(a) ? a.map((value, i) => value + (b[i] - value) * t) : a + (b - a) * t;
+}
+
+function sampleTrack(track, time) {
+  const next = track.findIndex(keyframe => keyframe.time > time);
+  if (next === 0) return track[0].value;
+  if (next === -1) return track[track.length - 1].value;
+
+  const a = track[next - 1];
+  const b = track[next];
+  return interpolate(a.value, b.value, b.easing((time - a.time) / (b.time - a.time)));
+}
+
+// Plays a parsed timeline. `onShape(shape, morphOptions)` is called for each
+// shape cue playback passes, and with the cue in effect after a seek.
+// update(deltaTime) advances playback and returns the current property values.
+export function createTimelinePlayer(timeline, { onShape }) {
+  const tracks = Object.fromEntries(Object.entries(timeline.tracks).map(([property, track]) => [
+    property,
+    track.map(keyframe => ({ time: keyframe.time, value: keyframe[property], easing: keyframe.easing })),
+  ]));
+
+  let time = 0;
+  let rate = 1;
+  let playing = false;
+  // Apply the cue in effect on the next update, after a seek or on first play
+  let resync = true;
+
+  function cueAt(at) {
+    const passed = timeline.cues.filter(cue => cue.time <= at);
+    if (passed.length > 0) return passed[passed.length - 1];
+    // Before the first cue, a loop is still showing the last one
+    return timeline.loop ? timeline.cues[timeline.cues.length - 1] : null;
+  }
+
+  function fireCues(from, to) {
+    timeline.cues
+      .filter(cue => cue.time > from && cue.time <= to)
+      .forEach(cue => onShape(cue.shape, cue.morph ?? {}));
+  }
+
+  function values() {
+    return Object.fromEntries(Object.entries(tracks).map(([property, track]) => [
+      property,
+      sampleTrack(track, time),
+    ]));
+  }
+
+  return {
+    get time() { return time; },
+    get duration() { return timeline.duration; },
+    get playing() { return playing; },
+    get rate() { return rate; },
+
+    play() {
+      if (!timeline.loop && time >= timeline.duration) this.seek(0);
+      playing = true;
+    },
+
+    pause() {
+      playing = false;
+    },
+
+    seek(seconds) {
+      time = Math.min(Math.max(seconds, 0), timeline.duration);
+      resync = true;
+    },
+
+    setRate(playbackRate) {
+      if (!(playbackRate > 0)) {
+        throw new Error(`Playback rate must be positive, got ${playbackRate}`);
+      }
+      rate = playbackRate;
+    },
+
+    update(deltaTime) {
+      if (resync) {
+        resync = false;
+        const cue = cueAt(time);
+        if (cue) onShape(cue.shape, cue.morph ?? {});
+      }
+
+      if (playing) {
+        const previous = time;
+        time += deltaTime * rate;
+
+        if (time < timeline.duration) {
+          fireCues(previous, time);
+        } else if (timeline.loop) {
+          time %= timeline.duration;
+          fireCues(previous, timeline.duration);
+          // A cue at time 0 belongs to the new lap
+          fireCues(-1, time);
+        } else {
+          time = timeline.duration;
+          fireCues(previous, time);
+          playing = false;
+        }
+      }
+
+      return values();
+    },
+  };
+}
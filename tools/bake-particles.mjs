@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+// Bake a particle target file from a GLB model
+//
+//   node tools/bake-particles.mjs assets/models/monitor.glb assets/particles/monitor-particle.ptcl
+//
+// Uses the same sampler as the runtime `sample` manifest option, so a given
+// seed and count always produce the same points.
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { register } from 'node:module';
+import { extname } from 'node:path';
+import { parseArgs } from 'node:util';
+
+register('./three-resolve.mjs', import.meta.url);
+
+const { GLTFLoader } = await import('three/addons/loaders/GLTFLoader.js');
+const { sampleModel } = await import('../js/mesh-sampler.js');
+const { BINARY_EXTENSION, encodeParticles } = await import('../js/particle-format.js');
+
+const USAGE = `Usage: node tools/bake-particles.mjs <input.glb> <output> [options]
+
+Options:
+  --count <n>       number of particles (default 60000)
+  --seed <n>        random seed (default 1)
+  --mode <mode>     surface | volume (default surface)
+  --axes <axes>     z-up: convert from glTF's Y-up to the Z-up convention of the
+                    shipped particle files (default)
+                    y-up: keep glTF coordinates
+  --format <fmt>    json | ptcl | ptcl16 (Uint16-quantized). Defaults to ptcl
+                    for ${BINARY_EXTENSION} outputs and json otherwise
+  --colors          store each point's material color. Textures can't be read
+                    here, so this is the material color times the vertex color
+  -h, --help        show this message`;
+
+const AXES = {
+  'y-up': (positions) => positions,
+  // glTF (x, y, z) -> Z-up (x, -z, y), the inverse of the Blender exporter's conversion
+  'z-up': (positions) => {
+    for (let i = 0; i < positions.length; i += 3) {
+      const y = positions[i + 1];
+      positions[i + 1] = -positions[i + 2];
+      positions[i + 2] = y;
+    }
+    return positions;
+  },
+};
+
+function fail(message) {
+  console.error(`${message}\n\n${USAGE}`);
+  process.exit(1);
+}
+
+function parseInteger(value, name, minimum = 0) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < minimum) {
+    fail(`--${name} must be an integer of at least ${minimum}, got "${value}"`);
+  }
+  return number;
+}
+
+// GLTFLoader decodes images through the DOM, which Node doesn't have. The
+// sampler mostly needs geometry, so textures are skipped; colors fall back to
+// the material and vertex colors.
+function skipTextures() {
+  return {
+    name: 'BAKE_skip_textures',
+    loadTexture: () => Promise.resolve(null),
+  };
+}
+
+function serialize({ positions, colors }, format) {
+  if (format === 'json') {
+    const points = [];
+    for (let i = 0; i < positions.length; i += 3) {
+      const point = [positions[i], positions[i + 1], positions[i + 2]];
+      if (colors) point.push(colors[i], colors[i + 1], colors[i + 2]);
+      points.push(point);
+    }
+    return JSON.stringify(points);
+  }
+
+  return new Uint8Array(encodeParticles(positions, { quantize: format === 'ptcl16', colors }));
+}
+
+async function main() {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      allowPositionals: true,
+      options: {
+        count: { type: 'string', default: '60000' },
+        seed: { type: 'string', default: '1' },
+        mode: { type: 'string', default: 'surface' },
+        axes: { type: 'string', default: 'z-up' },
+        format: { type: 'string' },
+        colors: { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h' },
+      },
+    });
+  } catch (error) {
+    fail(error.message);
+  }
+
+  const { values, positionals } = parsed;
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const [input, output] = positionals;
+  if (!input || !output) fail('Expected an input GLB and an output path');
+
+  const count = parseInteger(values.count, 'count', 1);
+  const seed = parseInteger(values.seed, 'seed');
+  const format = values.format ?? (extname(output) === BINARY_EXTENSION ? 'ptcl' : 'json');
+
+  if (!['surface', 'volume'].includes(values.mode)) fail(`Unknown mode "${values.mode}"`);
+  if (!AXES[values.axes]) fail(`Unknown axes "${values.axes}"`);
+  if (!['json', 'ptcl', 'ptcl16'].includes(format)) fail(`Unknown format "${format}"`);
+
+  const file = await readFile(input);
+  const loader = new GLTFLoader().register(skipTextures);
+  const gltf = await loader.parseAsync(file.buffer.slice(file.byteOffset, file.byteOffset + file.byteLength), '');
+
+  const sampled = sampleModel(gltf.scene, { count, seed, mode: values.mode, colors: values.colors });
+  AXES[values.axes](sampled.positions);
+  const data = serialize(sampled, format);
+  await writeFile(output, data);
+
+  const colored = values.colors ? ', colored' : '';
+  console.log(`Wrote ${count} ${values.mode} particles (seed ${seed}, ${values.axes}, ${format}${colored}) to ${output} (${data.length} bytes)`);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
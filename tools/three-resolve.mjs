@@ -0,0 +1,20 @@
+// Node module resolution hooks for the bake tools
+// The browser resolves 'three' and 'three/addons/' through the page's import
+// map; in Node they are pointed at the vendored copy in ../three instead.
+
+const threeRoot = new URL('../three/', import.meta.url);
+
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier === 'three') {
+    return { url: new URL('build/three.core.js', threeRoot).href, shortCircuit: true };
+  }
+
+  if (specifier.startsWith('three/addons/')) {
+    return {
+      url: new URL(`examples/jsm/${specifier.slice('three/addons/'.length)}`, threeRoot).href,
+      shortCircuit: true,
+    };
+  }
+
+  return nextResolve(specifier, context);
+}